@@ -1,15 +1,128 @@
 import find from 'lodash/collection/find';
+import partition from 'lodash/collection/partition';
 import sortByOrder from 'lodash/collection/sortByOrder';
 import omit from 'lodash/object/omit';
+import mapValues from 'lodash/object/mapValues';
+import zipObject from 'lodash/array/zipObject';
 import {ListIterator, objectDiff} from './utils';
 
+// Returns the key of `values` in a secondary index.
+function indexKey(values) {
+    return JSON.stringify(values);
+}
+
+function indexName(fieldNames) {
+    return fieldNames.join(',');
+}
+
+// Returns an object with the values of `arr` as keys,
+// for checking membership in constant time.
+function toLookup(arr) {
+    const lookup = {};
+    arr.forEach(value => { lookup[value] = true; });
+    return lookup;
+}
+
+// Returns an object with the values of `arr` as keys
+// and their indexes in `arr` as values.
+function toPositions(arr) {
+    const positions = {};
+    arr.forEach((value, idx) => { positions[value] = idx; });
+    return positions;
+}
+
+// Merges `moved` into `ids`, which is in list order, by the
+// positions of the ids in the list.
+function mergeByPosition(ids, moved, positions) {
+    const byPosition = (a, b) => positions[a] - positions[b];
+    const rest = moved.slice().sort(byPosition);
+    const result = [];
+    let i = 0;
+    let j = 0;
+    while (i < ids.length || j < rest.length) {
+        if (j === rest.length || (i < ids.length && byPosition(ids[i], rest[j]) < 0)) {
+            result.push(ids[i++]);
+        } else {
+            result.push(rest[j++]);
+        }
+    }
+    return result;
+}
+
+// Compares two field values for sorting. `null` and `undefined`
+// are larger than all other values.
+function compareValues(a, b) {
+    if (a === b) {
+        return 0;
+    }
+    const aIsMissing = a === null || typeof a === 'undefined';
+    const bIsMissing = b === null || typeof b === 'undefined';
+    if (aIsMissing || bIsMissing) {
+        if (aIsMissing && bIsMissing) {
+            return 0;
+        }
+        return aIsMissing ? 1 : -1;
+    }
+    if (a < b) {
+        return -1;
+    }
+    return a > b ? 1 : 0;
+}
+
+// Removes the values of `arr` for which `predicate` returns true,
+// keeping the order, in a single pass.
+function removeInPlace(arr, predicate) {
+    let kept = 0;
+    arr.forEach(value => {
+        if (!predicate(value)) {
+            arr[kept++] = value;
+        }
+    });
+    arr.length = kept;
+}
+
 /**
  * Handles the underlying data structure for a {@link Model} class.
+ *
+ * The rest of the library only uses a backend through its interface, never
+ * by reading the state directly. A custom backend, whether it subclasses
+ * {@link Backend} or not, must implement:
+ *
+ * - the `idAttribute` and `unique` properties, see the constructor options.
+ * - ids: `getIdOf`, `normalizeId`.
+ * - reading: `getDefaultState`, `accessId`, `accessIdList`, `accessList`,
+ *   `iterator`, `getIndexFor`, `accessIndex`.
+ * - unique constraints: `findUniqueConflict`, `assertUnique`.
+ * - writing: `insert`, `insertMany`, `upsert`, `update`, `delete`, `order`,
+ *   `remapId`. These return the
+ *   next state. They may change the given state in place only if the
+ *   `withMutations` option is set, and the caller always uses the returned state.
+ * - copying: `clone`, which returns a copy of the state that writes with
+ *   `withMutations` don't change. Sessions use it for rolling back.
+ *
+ * The constructor receives the options from {@link Model.backend} as well as
+ * `branchName`, `withMutations`, `indexes` and `unique`. `accessIdList` should
+ * return the same array until the state changes, so that queries can tell when
+ * they are working on all the objects. The conformance tests in
+ * `test/backendConformance` check the interface; see {@link module:test/backendConformance}.
  */
 const Backend = class Backend {
     /**
      * Creates a new {@link Backend} instance.
      * @param  {Object} userOpts - options to use.
+     * @param  {string|string[]} [userOpts.idAttribute='id'] - the name of the id field, or
+     *                                                      the names of the fields of a
+     *                                                      composite primary key.
+     * @param  {Array} [userOpts.indexes] - the secondary indexes to maintain. Each index
+     *                                      is a field name or an array of field names.
+     *                                      Requires `indexById`.
+     * @param  {Array} [userOpts.unique] - the unique constraints to enforce. Each constraint
+     *                                     is a field name or an array of field names whose
+     *                                     values together must be unique. With `indexById`,
+     *                                     an index is maintained for each constraint.
+     * @param  {string|string[]} [userOpts.ordering] - the field names to keep the objects
+     *                                                 ordered by on every insert and update.
+     *                                                 Prefix a name with `-` for descending order.
      */
     constructor(userOpts) {
         const defaultOpts = {
@@ -18,10 +131,80 @@ const Backend = class Backend {
             ordered: true,
             arrName: 'items',
             mapName: 'itemsById',
+            indexesName: 'indexes',
+            indexes: [],
+            unique: [],
+            ordering: [],
             withMutations: false,
         };
 
         Object.assign(this, defaultOpts, userOpts);
+
+        const toFieldNames = fields => (Array.isArray(fields) ? fields : [fields]);
+        this.unique = this.unique.map(toFieldNames);
+        this.indexes = this.indexes.map(toFieldNames);
+        this.ordering = toFieldNames(this.ordering);
+        this._orderingFields = this.ordering.map(field => {
+            const descending = field.charAt(0) === '-';
+            return {
+                fieldName: descending ? field.slice(1) : field,
+                descending,
+            };
+        });
+        if (this.indexById) {
+            this.unique.forEach(fieldNames => {
+                if (!this.indexes.some(index => indexName(index) === indexName(fieldNames))) {
+                    this.indexes.push(fieldNames);
+                }
+            });
+        }
+        if (this.indexes.length && !this.indexById) {
+            throw new Error('Secondary indexes require the indexById option.');
+        }
+    }
+
+    /**
+     * Whether the primary key consists of multiple fields.
+     * @type {Boolean}
+     */
+    get hasCompositeId() {
+        return Array.isArray(this.idAttribute);
+    }
+
+    /**
+     * Returns the id of `entity`. With a composite primary key, the id
+     * is a string made of the values of the key fields, e.g. `'[1,2]'`
+     * for `{orgId: 1, userId: 2}`.
+     *
+     * @param  {Object} entity - the object
+     * @return {*} the id of `entity`
+     */
+    getIdOf(entity) {
+        if (this.hasCompositeId) {
+            return indexKey(this.idAttribute.map(fieldName => entity[fieldName]));
+        }
+        return entity[this.idAttribute];
+    }
+
+    /**
+     * Returns `id` in the form used in the state. With a composite
+     * primary key, `id` can be the id string, an array of the values
+     * of the key fields in the declared order, or an object with the values.
+     *
+     * @param  {*} id - the id to normalize
+     * @return {*} the normalized id
+     */
+    normalizeId(id) {
+        if (!this.hasCompositeId || typeof id === 'string') {
+            return id;
+        }
+        if (Array.isArray(id)) {
+            return indexKey(id);
+        }
+        if (id !== null && typeof id === 'object') {
+            return this.getIdOf(id);
+        }
+        return id;
     }
 
     /**
@@ -29,19 +212,339 @@ const Backend = class Backend {
      * in state `branch`.
      *
      * @param  {Object} branch - the state
-     * @param  {Number} id - the id of the object to get
+     * @param  {Number} id - the id of the object to get. See {@link Backend#normalizeId}
+     *                       for composite primary keys.
      * @return {Object} A reference to the raw object in the state.
      */
     accessId(branch, id) {
+        const normalizedId = this.normalizeId(id);
         if (this.indexById) {
-            return branch[this.mapName][id];
+            return branch[this.mapName][normalizedId];
         }
 
-        return find(branch[this.arrName], {[this.idAttribute]: id});
+        return find(branch[this.arrName], entity => this.getIdOf(entity) === normalizedId);
     }
 
+    /**
+     * Returns the ids of the objects in `branch`, in order.
+     *
+     * @param  {Object} branch - the state
+     * @return {Array} the ids of the objects. With `indexById`, this is
+     *                 the list in the state, otherwise a new array.
+     */
     accessIdList(branch) {
-        return branch[this.arrName];
+        if (this.indexById) {
+            return branch[this.arrName];
+        }
+        return branch[this.arrName].map(entity => this.getIdOf(entity));
+    }
+
+    /**
+     * Returns the declared index that can be used to find objects
+     * by `fieldNames`: the index with the most fields, all of
+     * which are included in `fieldNames`.
+     *
+     * @param  {string[]} fieldNames - the names of the fields to look up
+     * @return {string[]|undefined} the field names of the index, or `undefined`
+     *                              if no index applies.
+     */
+    getIndexFor(fieldNames) {
+        return this.indexes.reduce((best, index) => {
+            const applies = index.every(fieldName => fieldNames.includes(fieldName));
+            return applies && (!best || index.length > best.length) ? index : best;
+        }, undefined);
+    }
+
+    /**
+     * Returns the ids of the objects whose `fieldNames` have the values
+     * `values`, in the order of the objects in `branch`, using a secondary index.
+     *
+     * @param  {Object} branch - the state
+     * @param  {string[]} fieldNames - the field names of a declared index
+     * @param  {Array} values - the values of the fields, in the same order
+     * @return {Array|undefined} the ids of the matching objects, or `undefined` if
+     *                           `branch` has no index for `fieldNames`.
+     */
+    accessIndex(branch, fieldNames, values) {
+        const indexes = branch[this.indexesName];
+        const index = indexes && indexes[indexName(fieldNames)];
+        if (!index) {
+            return undefined;
+        }
+        return index[indexKey(values)] || [];
+    }
+
+    _idsWithValues(branch, fieldNames, values) {
+        const indexed = this.accessIndex(branch, fieldNames, values);
+        if (indexed) {
+            return indexed;
+        }
+
+        const key = indexKey(values);
+        const matches = entity => indexKey(fieldNames.map(fieldName => entity[fieldName])) === key;
+        if (!this.indexById) {
+            return branch[this.arrName].filter(matches).map(entity => this.getIdOf(entity));
+        }
+        return this.accessIdList(branch).filter(id => matches(this.accessId(branch, id)));
+    }
+
+    /**
+     * Returns the first unique constraint that would be violated if `entities`
+     * were inserted to or updated in `branch`. Constraints are not checked for
+     * objects that have a `null` or `undefined` value in any of the fields.
+     *
+     * Without `indexById`, the constraints are checked by going through the objects.
+     *
+     * @param  {Object} branch - the state
+     * @param  {Object[]} entities - the new or updated objects
+     * @return {Object|undefined} the violation as an object with `fieldNames`, `values` and `id`,
+     *                            the id of the object already using the values. `undefined` if
+     *                            there is no violation.
+     */
+    findUniqueConflict(branch, entities) {
+        const isChanged = {};
+        entities.forEach(entity => { isChanged[this.getIdOf(entity)] = true; });
+
+        let conflict;
+        this.unique.some(fieldNames => {
+            const claimed = {};
+            return entities.some(entity => {
+                const values = fieldNames.map(fieldName => entity[fieldName]);
+                if (values.some(value => value === null || typeof value === 'undefined')) {
+                    return false;
+                }
+
+                const key = indexKey(values);
+                const holders = this._idsWithValues(branch, fieldNames, values)
+                    .filter(id => !isChanged[id]);
+                if (holders.length || claimed.hasOwnProperty(key)) {
+                    conflict = {
+                        fieldNames,
+                        values,
+                        id: holders.length ? holders[0] : claimed[key],
+                    };
+                    return true;
+                }
+                claimed[key] = this.getIdOf(entity);
+                return false;
+            });
+        });
+        return conflict;
+    }
+
+    /**
+     * Checks that inserting or updating `entities` in `branch`
+     * does not violate the unique constraints.
+     *
+     * @param  {Object} branch - the state
+     * @param  {Object[]} entities - the new or updated objects
+     * @throws If a unique constraint would be violated.
+     * @return {undefined}
+     */
+    assertUnique(branch, entities) {
+        const conflict = this.findUniqueConflict(branch, entities);
+        if (conflict) {
+            const prefix = this.branchName ? `${this.branchName}: ` : '';
+            const description = conflict.fieldNames.map((fieldName, idx) => {
+                return `${fieldName}=${JSON.stringify(conflict.values[idx])}`;
+            }).join(', ');
+            throw new Error(`${prefix}Unique constraint failed: ${description} is already used by the object with id ${conflict.id}.`);
+        }
+    }
+
+    _buildIndexes(branch) {
+        const {arrName, mapName} = this;
+        return this.indexes.reduce((indexes, fieldNames) => {
+            const index = {};
+            branch[arrName].forEach(id => {
+                const entity = branch[mapName][id];
+                const key = indexKey(fieldNames.map(fieldName => entity[fieldName]));
+                if (!index.hasOwnProperty(key)) {
+                    index[key] = [];
+                }
+                index[key].push(id);
+            });
+            indexes[indexName(fieldNames)] = index;
+            return indexes;
+        }, {});
+    }
+
+    // Updates the secondary indexes from `branch` to `returnBranch`.
+    // `changes` is a list of `[id, previousEntity, nextEntity]`, where
+    // `previousEntity` is undefined for an insert and `nextEntity` for a delete.
+    _updateIndexes(branch, returnBranch, changes) {
+        const {arrName, mapName, indexesName} = this;
+        if (!this.indexes.length) {
+            return returnBranch;
+        }
+        if (!branch[indexesName]) {
+            // The state was created without the indexes.
+            returnBranch[indexesName] = this._buildIndexes(returnBranch);
+            return returnBranch;
+        }
+
+        const indexes = this.withMutations
+            ? branch[indexesName]
+            : Object.assign({}, branch[indexesName]);
+
+        // Positions of the ids in the list, for putting updated
+        // objects in order. Built once, when first needed.
+        let positions = null;
+        const positionsOf = () => {
+            if (!positions) {
+                positions = toPositions(returnBranch[arrName]);
+            }
+            return positions;
+        };
+
+        this.indexes.forEach(fieldNames => {
+            const name = indexName(fieldNames);
+            const removed = {};
+            const moved = {};
+            const appended = {};
+            const sorted = {};
+            const addTo = (map, key, id) => {
+                if (!map.hasOwnProperty(key)) {
+                    map[key] = [];
+                }
+                map[key].push(id);
+            };
+
+            changes.forEach(([id, previous, next]) => {
+                const previousKey = previous && indexKey(fieldNames.map(fieldName => previous[fieldName]));
+                const nextKey = next && indexKey(fieldNames.map(fieldName => next[fieldName]));
+                const reordered = previous && next && this._isReordered(previous, next);
+                if (previousKey === nextKey && !reordered) return;
+
+                if (previous) {
+                    addTo(removed, previousKey, id);
+                }
+                if (next && this.ordering.length) {
+                    addTo(sorted, nextKey, id);
+                } else if (next) {
+                    // Inserted objects are last in the list,
+                    // updated ones need to be put in order.
+                    addTo(previous ? moved : appended, nextKey, id);
+                }
+            });
+
+            const touchedKeys = Object.keys(Object.assign({}, removed, moved, appended, sorted));
+            if (!touchedKeys.length) return;
+
+            const index = this.withMutations ? indexes[name] : Object.assign({}, indexes[name]);
+            touchedKeys.forEach(key => {
+                let ids = index[key] || [];
+                if (removed[key]) {
+                    const isRemoved = toLookup(removed[key]);
+                    ids = ids.filter(id => !isRemoved[id]);
+                }
+                if (moved[key]) {
+                    ids = mergeByPosition(ids, moved[key], positionsOf());
+                }
+                if (appended[key]) {
+                    if (this.withMutations && ids === index[key]) {
+                        appended[key].forEach(id => ids.push(id));
+                    } else {
+                        ids = ids.concat(appended[key]);
+                    }
+                }
+                if (sorted[key]) {
+                    if (!this.withMutations && ids === index[key]) {
+                        ids = ids.slice();
+                    }
+                    this._addAllToList(ids, sorted[key], id => returnBranch[mapName][id]);
+                }
+
+                if (ids.length) {
+                    index[key] = ids;
+                } else {
+                    delete index[key];
+                }
+            });
+            indexes[name] = index;
+        });
+
+        returnBranch[indexesName] = indexes;
+        return returnBranch;
+    }
+
+    /**
+     * Compares two objects by the `ordering` option.
+     *
+     * @param  {Object} a - an object
+     * @param  {Object} b - another object
+     * @return {Number} a negative number if `a` comes before `b`, a positive
+     *                  number if it comes after, and `0` if neither.
+     */
+    _compare(a, b) {
+        for (let i = 0; i < this._orderingFields.length; i++) {
+            const {fieldName, descending} = this._orderingFields[i];
+            const result = compareValues(a[fieldName], b[fieldName]);
+            if (result !== 0) {
+                return descending ? -result : result;
+            }
+        }
+        return 0;
+    }
+
+    // Whether updating `previous` to `next` changes its position in the ordering.
+    _isReordered(previous, next) {
+        return this._orderingFields.some(({fieldName}) => previous[fieldName] !== next[fieldName]);
+    }
+
+    // Adds `item` to `list` in place, in its position by the `ordering` option
+    // after the equal objects, or last if there's no ordering. `entityOf`
+    // returns the object of an item of `list`.
+    _addToList(list, item, entityOf) {
+        if (!this.ordering.length) {
+            list.push(item);
+            return;
+        }
+
+        const entity = entityOf(item);
+        let low = 0;
+        let high = list.length;
+        while (low < high) {
+            const mid = Math.floor((low + high) / 2);
+            if (this._compare(entityOf(list[mid]), entity) <= 0) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        list.splice(low, 0, item);
+    }
+
+    // Adds `items` to `list` in place, see `_addToList`. Many items are
+    // appended and the list sorted once instead of inserting them one by one.
+    _addAllToList(list, items, entityOf) {
+        if (items.length === 1 || !this.ordering.length) {
+            items.forEach(item => this._addToList(list, item, entityOf));
+            return;
+        }
+
+        items.forEach(item => list.push(item));
+        list
+            .map((item, idx) => [item, idx])
+            .sort(([a, aIdx], [b, bIdx]) => this._compare(entityOf(a), entityOf(b)) || aIdx - bIdx)
+            .forEach(([item], idx) => { list[idx] = item; });
+    }
+
+    // Returns `list` with the items for which `isMoved` returns true
+    // moved to their positions by the `ordering` option.
+    _reorderList(list, isMoved, entityOf) {
+        const moved = list.filter(isMoved);
+        const result = this.withMutations ? list : list.slice();
+        removeInPlace(result, isMoved);
+        this._addAllToList(result, moved, entityOf);
+        return result;
+    }
+
+    _assertCanOrder() {
+        if (this.ordering.length) {
+            const prefix = this.branchName ? `${this.branchName}: ` : '';
+            throw new Error(`${prefix}Can't change the order of objects kept in the declared ordering.`);
+        }
     }
 
     /**
@@ -60,8 +563,14 @@ const Backend = class Backend {
     }
 
     accessList(branch) {
+        if (!this.indexById) {
+            return branch[this.arrName].map(entity => Object.assign({}, entity));
+        }
         return branch[this.arrName].map(id => {
             const obj = this.accessId(branch, id);
+            if (this.hasCompositeId) {
+                return Object.assign({}, obj);
+            }
             return Object.assign({[this.idAttribute]: id}, obj);
         });
     }
@@ -72,10 +581,14 @@ const Backend = class Backend {
      */
     getDefaultState() {
         if (this.indexById) {
-            return {
+            const state = {
                 [this.arrName]: [],
                 [this.mapName]: {},
             };
+            if (this.indexes.length) {
+                state[this.indexesName] = this._buildIndexes(state);
+            }
+            return state;
         }
 
         return {
@@ -83,6 +596,30 @@ const Backend = class Backend {
         };
     }
 
+    /**
+     * Returns a copy of `branch` that isn't changed by writes to `branch`,
+     * even with the `withMutations` option. The objects themselves are shared,
+     * since writes replace them instead of changing them.
+     *
+     * @param  {Object} branch - the state of the data structure
+     * @return {Object} a copy of `branch`
+     */
+    clone(branch) {
+        const {arrName, mapName, indexesName} = this;
+        const returnBranch = Object.assign({}, branch, {
+            [arrName]: branch[arrName].slice(),
+        });
+        if (branch[mapName]) {
+            returnBranch[mapName] = Object.assign({}, branch[mapName]);
+        }
+        if (branch[indexesName]) {
+            returnBranch[indexesName] = mapValues(branch[indexesName], index => {
+                return mapValues(index, ids => ids.slice());
+            });
+        }
+        return returnBranch;
+    }
+
     /**
      * Returns the data structure with objects in ascending order.
      * This function uses the `lodash `[sortByOrder](https://lodash.com/docs#sortByOrder)
@@ -92,11 +629,12 @@ const Backend = class Backend {
      * @param  {Object} branch - the state of the data structure
      * @param  {Function[]|Object[]|string[]} iteratees - the iteratees to sort by
      * @param  {string[]} orders - the sort orders of `iteratees`
+     * @throws If the `ordering` option is set.
      * @return {Object} the data structure ordered with the arguments.
      */
     order(branch, iteratees, orders) {
+        this._assertCanOrder();
         const returnBranch = this.withMutations ? branch : {};
-        const thisBackend = this;
         const {arrName, mapName} = this;
 
         if (this.indexById) {
@@ -110,7 +648,11 @@ const Backend = class Backend {
             const fullList = this.accessList(branch);
             const orderedObjects = sortByOrder(fullList, iteratees, orders);
 
-            returnBranch[arrName] = orderedObjects.map(obj => obj[thisBackend.idAttribute]);
+            returnBranch[arrName] = orderedObjects.map(obj => this.getIdOf(obj));
+            if (this.indexes.length) {
+                // The ids in the indexes are in the order of the list.
+                returnBranch[this.indexesName] = this._buildIndexes(returnBranch);
+            }
             return returnBranch;
         }
 
@@ -119,34 +661,99 @@ const Backend = class Backend {
     }
 
     /**
-     * Returns the data structure including a new object `entry`
+     * Returns the data structure including a new object `entry`,
+     * last or in its position by the `ordering` option.
+     *
      * @param  {Object} branch - the data structure state
      * @param  {Object} entry - the object to insert
      * @return {Object} the data structure including `entry`.
      */
     insert(branch, entry) {
-        if (this.indexById) {
-            const id = entry[this.idAttribute];
+        return this.insertMany(branch, [entry]);
+    }
 
-            if (this.withMutations) {
-                branch[this.arrName].push(id);
-                branch[this.mapName][id] = entry;
-                return branch;
-            }
+    /**
+     * Returns the data structure including the new objects `entries`,
+     * added in one pass.
+     *
+     * @param  {Object} branch - the data structure state
+     * @param  {Object[]} entries - the objects to insert
+     * @return {Object} the data structure including `entries`.
+     */
+    insertMany(branch, entries) {
+        const {arrName, mapName} = this;
+        this.assertUnique(branch, entries);
 
-            return {
-                [this.arrName]: branch[this.arrName].concat(id),
-                [this.mapName]: Object.assign({}, branch[this.mapName], {[id]: entry}),
+        if (this.indexById) {
+            const changes = entries.map(entry => [this.getIdOf(entry), undefined, entry]);
+            const returnBranch = this.withMutations ? branch : {
+                [arrName]: branch[arrName].slice(),
+                [mapName]: Object.assign({}, branch[mapName]),
             };
+
+            changes.forEach(([id, , entry]) => {
+                returnBranch[mapName][id] = entry;
+            });
+            this._addAllToList(returnBranch[arrName], changes.map(([id]) => id), id => returnBranch[mapName][id]);
+            return this._updateIndexes(branch, returnBranch, changes);
         }
 
+        const arr = this.withMutations ? branch[arrName] : branch[arrName].slice();
+        this._addAllToList(arr, entries, entity => entity);
         if (this.withMutations) {
-            branch[this.arrName].push(entry);
             return branch;
         }
-
         return {
-            [this.arrName]: branch[this.arrName].concat(entry),
+            [arrName]: arr,
+        };
+    }
+
+    /**
+     * Returns the data structure with `entries` inserted or, if an object
+     * with the same id exists, merged with it. Entries with the same id
+     * are merged together first.
+     *
+     * @param  {Object} branch - the data structure state
+     * @param  {Object[]} entries - the objects to insert or update
+     * @param  {Function} [mergeFunction] - takes an existing object and an
+     *                                    entry with the same id, and returns the
+     *                                    updated object. Defaults to a shallow merge.
+     * @return {Object} the data structure including `entries`.
+     */
+    upsert(branch, entries, mergeFunction = (entity, entry) => Object.assign({}, entity, entry)) {
+        const ids = [];
+        const entriesById = {};
+        entries.forEach(entry => {
+            const id = this.getIdOf(entry);
+            if (entriesById.hasOwnProperty(id)) {
+                entriesById[id] = mergeFunction(entriesById[id], entry);
+            } else {
+                ids.push(id);
+                entriesById[id] = entry;
+            }
+        });
+
+        const [existingIds, newIds] = partition(ids, id => typeof this.accessId(branch, id) !== 'undefined');
+        const updated = existingIds.length
+            ? this.update(branch, existingIds, entity => mergeFunction(entity, entriesById[this.getIdOf(entity)]))
+            : branch;
+        return newIds.length
+            ? this.insertMany(updated, newIds.map(id => entriesById[id]))
+            : updated;
+    }
+
+    // Returns a function that applies `patcher` to an object,
+    // see `update`. Returns the same object if nothing changes.
+    _getMapFunction(patcher) {
+        if (typeof patcher === 'function') {
+            return patcher;
+        }
+        return entity => {
+            const diff = objectDiff(entity, patcher);
+            if (diff) {
+                return Object.assign({}, entity, patcher);
+            }
+            return entity;
         };
     }
 
@@ -157,6 +764,8 @@ const Backend = class Backend {
      * 1. merged with `patcher`, if `patcher` is an object.
      * 2. mapped with `patcher`, if `patcher` is a function.
      *
+     * Updated objects are moved to their positions by the `ordering` option.
+     *
      * @param  {Object} branch - the data structure state
      * @param  {Array} idArr - the id's of the objects to update
      * @param  {Object|Function} patcher - If an object, the object to merge with objects
@@ -171,21 +780,9 @@ const Backend = class Backend {
         const {
             arrName,
             mapName,
-            idAttribute,
         } = this;
 
-        let mapFunction;
-        if (typeof patcher === 'function') {
-            mapFunction = patcher;
-        } else {
-            mapFunction = (entity) => {
-                const diff = objectDiff(entity, patcher);
-                if (diff) {
-                    return Object.assign({}, entity, patcher);
-                }
-                return entity;
-            };
-        }
+        const mapFunction = this._getMapFunction(patcher);
 
         if (this.indexById) {
             if (!this.withMutations) {
@@ -201,26 +798,104 @@ const Backend = class Backend {
             }, updatedMap);
 
             const diff = objectDiff(returnBranch[mapName], updatedMap);
-            if (diff) {
-                Object.assign(returnBranch[mapName], diff);
-            } else {
+            if (!diff) {
                 return branch;
             }
-            return returnBranch;
+
+            const changes = idArr
+                .filter(id => diff.hasOwnProperty(id))
+                .map(id => [id, returnBranch[mapName][id], diff[id]]);
+            this.assertUnique(branch, changes.map(([, , entity]) => entity));
+            Object.assign(returnBranch[mapName], diff);
+
+            const isReordered = toLookup(changes
+                .filter(([, previous, next]) => this._isReordered(previous, next))
+                .map(([id]) => id));
+            if (Object.keys(isReordered).length) {
+                returnBranch[arrName] = this._reorderList(
+                    returnBranch[arrName], id => isReordered[id], id => returnBranch[mapName][id]);
+            }
+            return this._updateIndexes(branch, returnBranch, changes);
         }
 
-        let updated = false;
-        returnBranch[arrName] = branch[arrName].map(entity => {
-            if (idArr.includes(entity[idAttribute])) {
+        const isUpdated = toLookup(idArr.map(id => this.normalizeId(id)));
+        const arr = branch[arrName];
+        const changes = [];
+        arr.forEach((entity, idx) => {
+            if (isUpdated[this.getIdOf(entity)]) {
                 const result = mapFunction(entity);
-                if (entity !== result) {
-                    updated = true;
+                if (result !== entity) {
+                    changes.push([idx, entity, result]);
                 }
-                return mapFunction(entity);
             }
-            return entity;
         });
-        return updated ? returnBranch : branch;
+
+        if (!changes.length) {
+            return branch;
+        }
+        this.assertUnique(branch, changes.map(([, , next]) => next));
+        const updatedArr = this.withMutations ? arr : arr.slice();
+        const isReordered = {};
+        changes.forEach(([idx, previous, next]) => {
+            updatedArr[idx] = next;
+            if (this._isReordered(previous, next)) {
+                isReordered[this.getIdOf(next)] = true;
+            }
+        });
+
+        returnBranch[arrName] = Object.keys(isReordered).length
+            ? this._reorderList(updatedArr, entity => isReordered[this.getIdOf(entity)], entity => entity)
+            : updatedArr;
+        return returnBranch;
+    }
+
+    // Returns a copy of `entity` with the id fields set to match `id`.
+    _withId(entity, id) {
+        const idValues = this.hasCompositeId
+            ? zipObject(this.idAttribute, JSON.parse(id))
+            : {[this.idAttribute]: id};
+        return Object.assign({}, entity, idValues);
+    }
+
+    /**
+     * Returns the data structure where the object with id `fromId` has the id `toId`.
+     * The object keeps its position in the data structure.
+     *
+     * @param  {Object} branch - the data structure state
+     * @param  {*} fromId - the current id of the object
+     * @param  {*} toId - the new id of the object
+     * @return {Object} the data structure with the object `fromId` changed to `toId`.
+     */
+    remapId(branch, fromId, toId) {
+        const {arrName, mapName} = this;
+        const from = this.normalizeId(fromId);
+        const to = this.normalizeId(toId);
+
+        const entity = this._withId(this.accessId(branch, from), to);
+
+        if (this.indexById) {
+            const returnBranch = this.withMutations ? branch : {
+                [arrName]: branch[arrName].slice(),
+                [mapName]: Object.assign({}, branch[mapName]),
+            };
+
+            const idx = returnBranch[arrName].indexOf(from);
+            returnBranch[arrName][idx] = to;
+            delete returnBranch[mapName][from];
+            returnBranch[mapName][to] = entity;
+
+            if (this.indexes.length) {
+                returnBranch[this.indexesName] = this._buildIndexes(returnBranch);
+            }
+            return returnBranch;
+        }
+
+        const arr = branch[arrName].map(obj => (this.getIdOf(obj) === from ? entity : obj));
+        if (this.withMutations) {
+            branch[arrName] = arr;
+            return branch;
+        }
+        return {[arrName]: arr};
     }
 
     /**
@@ -230,38 +905,35 @@ const Backend = class Backend {
      * @return {Object} the data structure without ids in `idsToDelete`.
      */
     delete(branch, idsToDelete) {
-        const {arrName, mapName, idAttribute} = this;
+        const {arrName, mapName} = this;
         const arr = branch[arrName];
+        const isDeleted = toLookup(idsToDelete.map(id => this.normalizeId(id)));
 
         if (this.indexById) {
+            const changes = idsToDelete
+                .filter(id => branch[mapName].hasOwnProperty(id))
+                .map(id => [id, branch[mapName][id], undefined]);
+
             if (this.withMutations) {
+                removeInPlace(arr, id => isDeleted[id]);
                 idsToDelete.forEach(id => {
-                    const idx = arr.indexOf(id);
-                    if (idx !== -1) {
-                        arr.splice(idx, 1);
-                    }
                     delete branch[mapName][id];
                 });
-                return branch;
+                return this._updateIndexes(branch, branch, changes);
             }
-            return {
-                [arrName]: branch[arrName].filter(id => !idsToDelete.includes(id)),
+            return this._updateIndexes(branch, {
+                [arrName]: arr.filter(id => !isDeleted[id]),
                 [mapName]: omit(branch[mapName], idsToDelete),
-            };
+            }, changes);
         }
 
         if (this.withMutations) {
-            idsToDelete.forEach(id => {
-                const idx = arr.indexOf(id);
-                if (idx === -1) {
-                    arr.splice(idx, 1);
-                }
-            });
+            removeInPlace(arr, entity => isDeleted[this.getIdOf(entity)]);
             return branch;
         }
 
         return {
-            [arrName]: arr.filter(entity => !idsToDelete.includes(entity[idAttribute])),
+            [arrName]: arr.filter(entity => !isDeleted[this.getIdOf(entity)]),
         };
     }
 };
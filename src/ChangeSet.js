@@ -0,0 +1,118 @@
+import isEqual from 'lodash/lang/isEqual';
+
+// Escapes `token` for a JSON Pointer, see RFC 6901.
+function escapePointer(token) {
+    return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function pointer(...tokens) {
+    return tokens.map(token => `/${escapePointer(token)}`).join('');
+}
+
+// Returns the fields that differ between `before` and `after`,
+// with their values before and after.
+function fieldChanges(before, after) {
+    const fields = {};
+    Object.keys(Object.assign({}, before, after)).forEach(fieldName => {
+        if (!isEqual(before[fieldName], after[fieldName])) {
+            fields[fieldName] = {
+                before: before[fieldName],
+                after: after[fieldName],
+            };
+        }
+    });
+    return fields;
+}
+
+/**
+ * The changes a {@link Session} made to the database, returned
+ * by {@link Session#getChanges}. Has a property for each changed
+ * model, keyed by the model name:
+ *
+ * ```javascript
+ * {
+ *     Book: {
+ *         created: [{id: 2, name: 'Mort', author: 1}],
+ *         updated: [{id: 0, fields: {name: {before: 'Hobbit', after: 'The Hobbit'}}}],
+ *         deleted: [{id: 1, name: 'Sourcery', author: 1}],
+ *     },
+ * }
+ * ```
+ *
+ * `created` has the created objects, `deleted` the deleted objects
+ * as they were before the session, and `updated` the ids of the updated
+ * objects with the values of the changed fields before and after.
+ */
+const ChangeSet = class ChangeSet {
+    /**
+     * Creates a new ChangeSet.
+     *
+     * @param  {Object[]} records - the changed objects as `{modelName, id, before, after}`,
+     *                              where `before` is undefined for a created object
+     *                              and `after` for a deleted one.
+     */
+    constructor(records) {
+        // Kept for building the JSON Patch, which needs the
+        // ids of created and deleted objects as well.
+        Object.defineProperty(this, '_records', {value: records});
+
+        records.forEach(({modelName, id, before, after}) => {
+            const fields = before && after && fieldChanges(before, after);
+            if (fields && !Object.keys(fields).length) {
+                // A new object with the same values.
+                return;
+            }
+
+            if (!this.hasOwnProperty(modelName)) {
+                this[modelName] = {created: [], updated: [], deleted: []};
+            }
+            if (typeof before === 'undefined') {
+                this[modelName].created.push(after);
+            } else if (typeof after === 'undefined') {
+                this[modelName].deleted.push(before);
+            } else {
+                this[modelName].updated.push({id, fields});
+            }
+        });
+    }
+
+    /**
+     * Returns `true` if nothing changed.
+     * @return {Boolean} `true` if nothing changed, else `false`
+     */
+    isEmpty() {
+        return !Object.keys(this).length;
+    }
+
+    /**
+     * Returns the changes as an [RFC 6902](https://tools.ietf.org/html/rfc6902)
+     * JSON Patch. The patch applies to a document with a property for
+     * each model, holding an object of the model's objects by id:
+     * `{Book: {0: {id: 0, name: 'The Hobbit'}}}`.
+     *
+     * @return {Object[]} the list of JSON Patch operations
+     */
+    toJSONPatch() {
+        return this._records.reduce((operations, {modelName, id, before, after}) => {
+            if (typeof before === 'undefined') {
+                operations.push({op: 'add', path: pointer(modelName, id), value: after});
+            } else if (typeof after === 'undefined') {
+                operations.push({op: 'remove', path: pointer(modelName, id)});
+            } else {
+                const fields = fieldChanges(before, after);
+                Object.keys(fields).forEach(fieldName => {
+                    const path = pointer(modelName, id, fieldName);
+                    if (typeof fields[fieldName].after === 'undefined') {
+                        operations.push({op: 'remove', path});
+                    } else {
+                        const op = typeof fields[fieldName].before === 'undefined' ? 'add' : 'replace';
+                        operations.push({op, path, value: fields[fieldName].after});
+                    }
+                });
+            }
+            return operations;
+        }, []);
+    }
+};
+
+export default ChangeSet;
@@ -0,0 +1,53 @@
+import mapValues from 'lodash/object/mapValues';
+
+/**
+ * The result of {@link QuerySet#groupBy}. Holds a {@link QuerySet}
+ * for each group and computes aggregates per group.
+ */
+const GroupedQuerySet = class GroupedQuerySet {
+    /**
+     * Creates a GroupedQuerySet.
+     * @param  {Object} groups - an object of group keys and {@link QuerySet} instances
+     */
+    constructor(groups) {
+        this.groups = groups;
+    }
+
+    /**
+     * Returns the group keys.
+     * @return {string[]} the group keys
+     */
+    keys() {
+        return Object.keys(this.groups);
+    }
+
+    /**
+     * Returns the {@link QuerySet} for the group `key`.
+     * @param  {*} key - the group key
+     * @return {QuerySet|undefined} the {@link QuerySet} of the group
+     */
+    get(key) {
+        return this.groups[key];
+    }
+
+    /**
+     * Returns the number of objects in each group.
+     * @return {Object} an object of group keys and counts
+     */
+    count() {
+        return mapValues(this.groups, qs => qs.count());
+    }
+
+    /**
+     * Computes the aggregates for each group.
+     * See {@link QuerySet#aggregate}.
+     *
+     * @param  {Object} aggregates - an object of result names and {@link Aggregate} instances
+     * @return {Object} an object of group keys and aggregation results
+     */
+    aggregate(aggregates) {
+        return mapValues(this.groups, qs => qs.aggregate(aggregates));
+    }
+};
+
+export default GroupedQuerySet;
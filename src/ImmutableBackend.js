@@ -0,0 +1,173 @@
+import {OrderedMap} from 'immutable';
+import sortByOrder from 'lodash/collection/sortByOrder';
+import Backend from './Backend';
+import {ListIterator} from './utils';
+
+/**
+ * A {@link Backend} that stores the objects of a {@link Model} in an
+ * [Immutable.js](https://facebook.github.io/immutable-js/) `OrderedMap`
+ * from ids to the objects, in the order of the objects. The objects
+ * themselves are plain JavaScript objects.
+ *
+ * Secondary indexes are not supported; unique constraints are checked
+ * by going through the objects. With the `ordering` option, inserted and
+ * reordered objects are put in their positions with a binary search, like
+ * in {@link Backend}. The `withMutations` option has no effect, every
+ * operation returns a new `OrderedMap`.
+ *
+ * To use it, return it from {@link Model.getBackendClass}:
+ *
+ * ```javascript
+ * import ImmutableBackend from 'redux-orm/lib/ImmutableBackend';
+ *
+ * class Book extends Model {
+ *     static getBackendClass() {
+ *         return ImmutableBackend;
+ *     }
+ * }
+ * ```
+ */
+const ImmutableBackend = class ImmutableBackend extends Backend {
+    /**
+     * Creates a new {@link ImmutableBackend} instance.
+     * Takes the same options as {@link Backend}.
+     *
+     * @param  {Object} userOpts - options to use.
+     * @throws If secondary indexes are declared.
+     */
+    constructor(userOpts) {
+        super(Object.assign({}, userOpts, {indexById: true}));
+
+        if (userOpts && userOpts.indexes && userOpts.indexes.length) {
+            throw new Error('ImmutableBackend does not support secondary indexes.');
+        }
+        this.indexes = [];
+    }
+
+    accessId(branch, id) {
+        return branch.get(this.normalizeId(id));
+    }
+
+    /**
+     * Returns the ids of the objects in `branch` as an array.
+     * The same array is returned until `branch` changes.
+     *
+     * @param  {OrderedMap} branch - the state
+     * @return {Array} the ids of the objects in order
+     */
+    accessIdList(branch) {
+        if (this._idListBranch !== branch) {
+            this._idListBranch = branch;
+            this._idList = branch.keySeq().toArray();
+        }
+        return this._idList;
+    }
+
+    accessIndex() {
+        return undefined;
+    }
+
+    iterator(branch) {
+        return new ListIterator(this.accessIdList(branch), 0, (list, idx) => branch.get(list[idx]));
+    }
+
+    accessList(branch) {
+        return branch.toArray().map(obj => Object.assign({}, obj));
+    }
+
+    getDefaultState() {
+        return OrderedMap();
+    }
+
+    clone(branch) {
+        // The maps are never changed in place.
+        return branch;
+    }
+
+    // Returns `map` with its entries in the order of `ids`.
+    _withOrder(map, ids) {
+        return OrderedMap().withMutations(ordered => {
+            ids.forEach(id => ordered.set(id, map.get(id)));
+        });
+    }
+
+    order(branch, iteratees, orders) {
+        this._assertCanOrder();
+        const orderedObjects = sortByOrder(this.accessList(branch), iteratees, orders);
+        return OrderedMap(orderedObjects.map(obj => {
+            const id = this.getIdOf(obj);
+            return [id, branch.get(id)];
+        }));
+    }
+
+    insertMany(branch, entries) {
+        this.assertUnique(branch, entries);
+        const newIds = [];
+        const returnBranch = branch.withMutations(map => {
+            entries.forEach(entry => {
+                const id = this.getIdOf(entry);
+                if (!map.has(id)) newIds.push(id);
+                map.set(id, entry);
+            });
+        });
+        if (!this.ordering.length || !newIds.length) {
+            return returnBranch;
+        }
+
+        const ids = this.accessIdList(branch).slice();
+        this._addAllToList(ids, newIds, id => returnBranch.get(id));
+        // The new objects are usually last, where the map has them.
+        const isAppended = newIds.every((id, idx) => ids[branch.size + idx] === id);
+        return isAppended ? returnBranch : this._withOrder(returnBranch, ids);
+    }
+
+    update(branch, idArr, patcher) {
+        const mapFunction = this._getMapFunction(patcher);
+
+        const updated = [];
+        const isReordered = {};
+        let reordered = false;
+        const returnBranch = branch.withMutations(map => {
+            idArr.forEach(id => {
+                const entity = map.get(id);
+                const result = mapFunction(entity);
+                if (result === entity) {
+                    return;
+                }
+                updated.push(result);
+                if (this._isReordered(entity, result)) {
+                    isReordered[id] = true;
+                    reordered = true;
+                }
+                map.set(id, result);
+            });
+        });
+
+        if (!updated.length) {
+            return branch;
+        }
+        this.assertUnique(branch, updated);
+        if (!reordered) {
+            return returnBranch;
+        }
+        const ids = this._reorderList(
+            this.accessIdList(branch).slice(), id => isReordered[id], id => returnBranch.get(id));
+        return this._withOrder(returnBranch, ids);
+    }
+
+    remapId(branch, fromId, toId) {
+        const from = this.normalizeId(fromId);
+        const to = this.normalizeId(toId);
+        const entity = this._withId(branch.get(from), to);
+
+        return branch.mapEntries(([id, obj]) => (id === from ? [to, entity] : [id, obj]));
+    }
+
+    delete(branch, idsToDelete) {
+        return branch.withMutations(map => {
+            idsToDelete.forEach(id => map.delete(id));
+        });
+    }
+};
+
+export default ImmutableBackend;
@@ -1,4 +1,5 @@
 import forOwn from 'lodash/object/forOwn';
+import omit from 'lodash/object/omit';
 import isArray from 'lodash/lang/isArray';
 
 import Session from './Session';
@@ -8,20 +9,183 @@ import {
     ManyToMany,
     ForeignKey,
     OneToOne,
+    Attribute,
 } from './fields';
-import {CREATE, UPDATE, DELETE, ORDER} from './constants';
 import {
-    match,
+    CREATE,
+    BULK_CREATE,
+    UPSERT,
+    UPDATE,
+    DELETE,
+    ORDER,
+    REMAP_ID,
+    CASCADE,
+    SET_NULL,
+    PROTECT,
+    SET_DEFAULT,
+} from './constants';
+import {
     normalizeEntity,
+    isSoftDeleted,
     arrayDiffActions,
 } from './utils';
+import {Q} from './lookups';
+import {getIdGenerator, observeId} from './idGenerators';
+
+// Returns the model class that `field`, declared
+// on `modelClass`, relates to.
+function relatedModelOf(modelClass, field) {
+    return field.toModelName === 'this'
+        ? modelClass
+        : modelClass.session[field.toModelName];
+}
+
+function normalizeEntities(entities, modelClass) {
+    return entities.map(entity => normalizeEntity(entity, modelClass));
+}
+
+// The built-in merge strategies of `bulkUpsert`.
+const MERGE_STRATEGIES = {
+    merge: (entity, props) => Object.assign({}, entity, props),
+    replace: (entity, props) => props,
+};
+
+// Returns the unique constraints of `modelClass`: the unique
+// attribute fields and the sets of fields in `uniqueTogether`.
+function uniqueConstraints(modelClass) {
+    const fields = modelClass.fields || {};
+    return Object.keys(fields)
+        .filter(fieldName => fields[fieldName] instanceof Attribute && fields[fieldName].unique)
+        .map(fieldName => [fieldName])
+        .concat(modelClass.uniqueTogether || []);
+}
+
+// Returns the instances that reference `instance` through the
+// reverse relation `field`, including soft deleted ones.
+function referencingInstances(instance, field) {
+    return instance.getClass().session[field.toModelName]
+        .withDeleted()
+        .filter({[field.relatedName]: instance.getId()})
+        .models.objects();
+}
+
+function isCollected(collected, instance) {
+    const entry = collected && collected[instance.getClass().modelName];
+    return !!entry && entry.ids.hasOwnProperty(instance.getId());
+}
+
+// Adds `instances` and the objects they cascade to into `collected`,
+// keyed by model name. Throws if a `PROTECT` relation points to
+// any of the collected objects.
+function collectDeletions(modelClass, instances, collected) {
+    const modelName = modelClass.modelName;
+    if (!collected.hasOwnProperty(modelName)) {
+        collected[modelName] = {modelClass, ids: {}, instances: []};
+    }
+    const entry = collected[modelName];
+
+    // Already collected instances have been handled,
+    // which also stops cycles.
+    const newInstances = instances.filter(instance => !isCollected(collected, instance));
+    newInstances.forEach(instance => {
+        entry.ids[instance.getId()] = true;
+        entry.instances.push(instance);
+    });
+
+    forOwn(modelClass.virtualFields, field => {
+        if (field instanceof ManyToMany) {
+            // Many-to-many rows the instances are included in
+            // are always deleted.
+            const throughModel = modelClass.session[field.through];
+            const [throughFieldName] = field.throughFields;
+            newInstances.forEach(instance => {
+                const throughRows = throughModel
+                    .filter({[throughFieldName]: instance.getId()})
+                    .models.objects();
+                if (throughRows.length) {
+                    collectDeletions(throughModel, throughRows, collected);
+                }
+            });
+            return;
+        }
+
+        if (field.onDelete !== CASCADE && field.onDelete !== PROTECT) {
+            return;
+        }
+
+        newInstances.forEach(instance => {
+            const referencing = referencingInstances(instance, field);
+            if (!referencing.length) return;
+
+            const referencingModel = referencing[0].getClass();
+            if (field.onDelete === PROTECT) {
+                throw new Error(`Cannot delete ${modelName} with id ${instance.getId()}: ` +
+                                `it is referenced by ${referencingModel.modelName} ` +
+                                `through the protected field "${field.relatedName}".`);
+            }
+            collectDeletions(referencingModel, referencing, collected);
+        });
+    });
+}
+
+// Applies the recorded update `action` to `state` with `backend`.
+function applyUpdate(backend, state, action) {
+    switch (action.type) {
+    case CREATE:
+        return backend.insert(state, action.payload);
+    case BULK_CREATE:
+        return backend.insertMany(state, action.payload);
+    case UPSERT:
+        return backend.upsert(state, action.payload.entries, action.payload.mergeFunction);
+    case UPDATE:
+        return backend.update(state, action.payload.idArr, action.payload.updater);
+    case ORDER:
+        return backend.order(state, action.payload);
+    case DELETE:
+        return backend.delete(state, action.payload);
+    case REMAP_ID:
+        return backend.remapId(state, action.payload.fromId, action.payload.toId);
+    default:
+        return state;
+    }
+}
+
+// Adds the soft deleted `instances` and the objects their deletion
+// cascaded to into `collected`, keyed by model name. The objects
+// deleted along with them share their `deletedAt` value.
+function collectRestorations(modelClass, instances, deletedAt, collected) {
+    const modelName = modelClass.modelName;
+    if (!collected.hasOwnProperty(modelName)) {
+        collected[modelName] = {modelClass, ids: {}, instances: []};
+    }
+    const entry = collected[modelName];
+
+    const newInstances = instances.filter(instance => !isCollected(collected, instance));
+    newInstances.forEach(instance => {
+        entry.ids[instance.getId()] = true;
+        entry.instances.push(instance);
+    });
+
+    forOwn(modelClass.virtualFields, field => {
+        if (field instanceof ManyToMany || field.onDelete !== CASCADE) return;
+
+        newInstances.forEach(instance => {
+            const referencing = referencingInstances(instance, field);
+            if (!referencing.length) return;
+
+            // Objects of models without soft delete weren't deleted,
+            // but the deletion cascaded through them.
+            const referencingModel = referencing[0].getClass();
+            collectRestorations(referencingModel, referencing, deletedAt, collected);
+        });
+    });
+}
 
 /**
  * The heart of an ORM, the data model.
  * The static class methods manages the updates
- * passed to this. The class itself is connected to a session,
- * and because of this you can only have a single session at a time
- * for a {@link Model} class.
+ * passed to this. Each {@link Session} connects its own subclass
+ * of the model to itself, so sessions can be used at the same time.
  *
  * An instance of {@link Model} represents an object in the database.
  *
@@ -43,7 +207,6 @@ const Model = class Model {
 
         this._fieldNames = [];
         this._fields = props;
-        const idAttribute = ModelClass.idAttribute;
 
         forOwn(props, (fieldValue, fieldName) => {
             this._fields[fieldName] = fieldValue;
@@ -54,15 +217,7 @@ const Model = class Model {
             if (!ModelClass.definedProperties[fieldName]) {
                 Object.defineProperty(this, fieldName, {
                     get: () => fieldValue,
-                    set: (value) => {
-                        ModelClass.addUpdate({
-                            type: UPDATE,
-                            payload: {
-                                [idAttribute]: this.getId(),
-                                [fieldName]: value,
-                            },
-                        });
-                    },
+                    set: (value) => this.set(fieldName, value),
                 });
             }
         });
@@ -73,7 +228,7 @@ const Model = class Model {
      * @return {Object} The state for this {@link Model} in the current {@link Session}.
      */
     static get state() {
-        return this.session.getState(this.modelName);
+        return this._requireSession().getState(this.modelName);
     }
 
     static toString() {
@@ -130,16 +285,31 @@ const Model = class Model {
      */
     static getBackend() {
         if (!this._sessionCache.backend) {
-            const BackendClass = this.getBackendClass();
+            this._sessionCache.backend = this._createBackend(!!(this._session && this._session.withMutations));
+        }
+        return this._sessionCache.backend;
+    }
 
-            const opts = this._getBackendOpts();
-            if (this._session && this._session.withMutations) {
-                opts.withMutations = true;
-            }
+    // Returns a new backend with the options declared on the model.
+    static _createBackend(withMutations) {
+        const BackendClass = this.getBackendClass();
 
-            this._sessionCache.backend = new BackendClass(opts);
+        // A copy, as a static `backend` object is shared between sessions.
+        const opts = Object.assign({}, this._getBackendOpts());
+        if (withMutations) {
+            opts.withMutations = true;
         }
-        return this._sessionCache.backend;
+        if (this.indexes) {
+            opts.indexes = this.indexes;
+        }
+        if (this.ordering) {
+            opts.ordering = this.ordering;
+        }
+        const unique = uniqueConstraints(this);
+        if (unique.length) {
+            opts.unique = unique;
+        }
+        return new BackendClass(opts);
     }
 
     /**
@@ -158,20 +328,7 @@ const Model = class Model {
     }
 
     static updateReducer(state, action) {
-        const backend = this.getBackend();
-
-        switch (action.type) {
-        case CREATE:
-            return backend.insert(state, action.payload);
-        case UPDATE:
-            return backend.update(state, action.payload.idArr, action.payload.updater);
-        case ORDER:
-            return backend.order(state, action.payload);
-        case DELETE:
-            return backend.delete(state, action.payload);
-        default:
-            return state;
-        }
+        return applyUpdate(this.getBackend(), state, action);
     }
 
     /**
@@ -197,7 +354,7 @@ const Model = class Model {
     }
 
     static markAccessed() {
-        this.session.markAccessed(this);
+        this._requireSession().markAccessed(this);
     }
 
     /**
@@ -210,6 +367,28 @@ const Model = class Model {
         return this.getBackend().idAttribute;
     }
 
+    /**
+     * A convenience method to call {@link Backend#getIdOf} from
+     * the {@link Model} class.
+     *
+     * @param  {Object} entity - the plain object
+     * @return {*} the id of `entity`
+     */
+    static getIdOf(entity) {
+        return this.getBackend().getIdOf(entity);
+    }
+
+    /**
+     * A convenience method to call {@link Backend#normalizeId} from
+     * the {@link Model} class.
+     *
+     * @param  {*} id - the id to normalize
+     * @return {*} the normalized id
+     */
+    static normalizeId(id) {
+        return this.getBackend().normalizeId(id);
+    }
+
     /**
      * A convenience method to call {@link Backend#accessId} from
      * the {@link Model} class.
@@ -222,6 +401,78 @@ const Model = class Model {
         return this.getBackend().accessId(this.state, id);
     }
 
+    /**
+     * A convenience method to call {@link Backend#assertUnique} from
+     * the {@link Model} class. In a session without mutations, the
+     * objects are checked against the state with the updates recorded
+     * so far applied, so that conflicts are found when they are recorded
+     * instead of when the session is reduced.
+     *
+     * @param  {Object[]} entities - the new or updated objects
+     * @throws If a unique constraint would be violated.
+     * @return {undefined}
+     */
+    static assertUnique(entities) {
+        const backend = this.getBackend();
+        if (backend.unique.length) {
+            backend.assertUnique(this._getPendingState(), entities);
+        }
+    }
+
+    // Returns the state with the updates recorded for the model in
+    // the session applied, without consuming them. The state is a copy
+    // kept in the session cache, and the updates recorded since the last
+    // call are applied to it in place.
+    static _getPendingState() {
+        const session = this.session;
+        if (session.withMutations) {
+            return this.state;
+        }
+
+        const {updates} = session;
+        let pending = this._sessionCache.pending;
+        const isValid = pending &&
+            pending.base === this.state &&
+            pending.scanned <= updates.length &&
+            (pending.scanned === 0 || updates[pending.scanned - 1] === pending.lastScanned);
+        if (!isValid) {
+            // Updates were consumed or rolled back, start over.
+            const backend = this._createBackend(true);
+            const base = typeof this.state === 'undefined' ? this.getDefaultState() : this.state;
+            pending = {backend, base: this.state, scanned: 0, state: backend.clone(base)};
+            this._sessionCache.pending = pending;
+        }
+
+        for (let i = pending.scanned; i < updates.length; i++) {
+            if (updates[i].meta.name === this.modelName) {
+                pending.state = applyUpdate(pending.backend, pending.state, updates[i]);
+            }
+        }
+        pending.scanned = updates.length;
+        pending.lastScanned = updates[updates.length - 1];
+        return pending.state;
+    }
+
+    // Returns the object with `id` as the updates recorded
+    // in the session leave it.
+    static _accessPendingId(id) {
+        return this.getBackend().accessId(this._getPendingState(), id);
+    }
+
+    /**
+     * A convenience method to call {@link Backend#accessIndex} from
+     * the {@link Model} class.
+     *
+     * @param  {string[]} fieldNames - the field names of a declared index
+     * @param  {Array} values - the values of the fields
+     * @return {Array|undefined} the ids of the matching objects, or `undefined`
+     *                           if there is no such index.
+     */
+    static accessIndex(fieldNames, values) {
+        this.markAccessed();
+        return this.getBackend().accessIndex(this.state, fieldNames, values);
+    }
+
     /**
      * A convenience method to call {@link Backend#accessIdList} from
      * the {@link Model} class with the current state.
@@ -271,27 +522,45 @@ const Model = class Model {
      */
     static addUpdate(update) {
         update.meta = {name: this.modelName};
-        this.session.addUpdate(update);
+        this._requireSession().addUpdate(update);
+    }
+
+    // Returns the session of the model class, or throws if there is none.
+    // Only the classes handed out by a session are connected to one.
+    static _requireSession() {
+        if (!this._session) {
+            throw new Error(`${this.modelName}: The model class is not connected to a session. ` +
+                            `Use the model classes of a session, e.g. \`schema.from(state).${this.modelName}\`.`);
+        }
+        return this._session;
     }
 
     /**
-     * Returns the id to be assigned to a new entity.
+     * Returns the id to be assigned to a new entity, generated
+     * with the strategy declared in `idGenerator`. Calling it has
+     * no side effects: it returns the same id until an entity is created.
      * You may override this to suit your needs.
      * @return {*} the id value for a new entity.
      */
     static nextId() {
-        if (typeof this._sessionCache.nextId === 'undefined') {
-            const idArr = this.accessIds();
-            if (idArr.length === 0) {
-                this._sessionCache.nextId = 0;
-            } else {
-                this._sessionCache.nextId = Math.max(...idArr) + 1;
-            }
-        }
-        return this._sessionCache.nextId;
+        return getIdGenerator(this)(this);
     }
 
     static getQuerySet() {
+        return this._withoutDeleted(this.getQuerySetFromIds(this.accessIds()));
+    }
+
+    // Hides the soft deleted objects from `qs` if the model uses `softDelete`.
+    static _withoutDeleted(qs) {
+        return this.softDelete ? qs.filter({deletedAt__isnull: true}) : qs;
+    }
+
+    /**
+     * Returns a {@link QuerySet} containing all {@link Model} instances,
+     * including the soft deleted ones. See `softDelete`.
+     * @return {QuerySet} a QuerySet containing all {@link Model} instances
+     */
+    static withDeleted() {
         return this.getQuerySetFromIds(this.accessIds());
     }
 
@@ -321,6 +590,46 @@ const Model = class Model {
         return this.getQuerySet();
     }
 
+    /**
+     * Records a change of the id of the object `fromId` to `toId`, and of the
+     * foreign keys pointing to it in all models, including many-to-many
+     * through models. Use this to replace a temporary id with the permanent
+     * one assigned by a server.
+     *
+     * @param  {*} fromId - the current id of the object
+     * @param  {*} toId - the new id of the object
+     * @throws If there is no object with `fromId`, or there already is one with `toId`.
+     * @return {undefined}
+     */
+    static remapId(fromId, toId) {
+        const from = this.normalizeId(fromId);
+        const to = this.normalizeId(toId);
+        if (typeof this.accessId(from) === 'undefined') {
+            throw new Error(`${this.modelName}: Cannot remap id ${from}: the object does not exist.`);
+        }
+        if (typeof this.accessId(to) !== 'undefined') {
+            throw new Error(`${this.modelName}: Cannot remap id ${from} to ${to}: the id is already in use.`);
+        }
+
+        this.session.models.forEach(modelClass => {
+            forOwn(modelClass.fields, (field, fieldName) => {
+                if ((field instanceof ForeignKey || field instanceof OneToOne) &&
+                        relatedModelOf(modelClass, field).modelName === this.modelName) {
+                    const referencing = modelClass.withDeleted().filter({[fieldName]: from});
+                    if (referencing.exists()) {
+                        referencing.update({[fieldName]: to});
+                    }
+                }
+            });
+        });
+
+        observeId(this, to);
+        this.addUpdate({
+            type: REMAP_ID,
+            payload: {fromId: from, toId: to},
+        });
+    }
+
     /**
      * Records the addition of a new {@link Model} instance if it doesn't exist yet.
      * Else update it.
@@ -330,68 +639,315 @@ const Model = class Model {
      */
     static createOrMergeById(userProps) {
         const idAttribute = this.idAttribute;
-        const idValue = userProps[idAttribute];
-        if (idValue === 'undefined' || idValue === null) {
-            throw new Error("Id is empty!");
-            return;
+        const idFields = isArray(idAttribute) ? idAttribute : [idAttribute];
+        if (idFields.some(fieldName => typeof userProps[fieldName] === 'undefined' || userProps[fieldName] === null)) {
+            throw new Error('Id is empty!');
         }
-        const model = this.withId(idValue);
-        if (model && model.id) {
-            model.update(userProps);
+        const idValue = this.getIdOf(userProps);
+        if (typeof this.accessId(idValue) !== 'undefined') {
+            this.withId(idValue).update(userProps);
         } else {
             this.create(userProps);
         }
     }
 
+    /**
+     * Checks the values in `props` against the {@link Attribute} fields
+     * declared in `fields`.
+     *
+     * @param  {Object} props - the properties to check
+     * @param  {Boolean} [partial=false] - if `true`, only the attributes present
+     *                                     in `props` are checked, as is the case
+     *                                     with updates.
+     * @throws If a value is missing but required, or not of the declared type.
+     * @return {undefined}
+     */
+    static validateAttributes(props, partial) {
+        forOwn(this.fields, (field, fieldName) => {
+            if (field instanceof Attribute &&
+                    (!partial || props.hasOwnProperty(fieldName))) {
+                try {
+                    field.validate(props[fieldName], fieldName);
+                } catch (e) {
+                    throw new Error(`${this.modelName}: ${e.message}`);
+                }
+            }
+        });
+    }
+
     /**
      * Records the addition of a new {@link Model} instance and returns it.
+     * Default values of {@link Attribute} fields are applied for
+     * missing properties, and the result is validated before the
+     * creation is recorded.
+     *
+     * If an existing object has the same values for the fields of a unique
+     * constraint, an error is thrown. With the `onConflict: 'merge'` option,
+     * the existing object is updated with `props` and returned instead.
      *
      * @param  {props} props - the new {@link Model}'s properties.
+     * @param  {Object} [opts] - options
+     * @param  {string} [opts.onConflict='error'] - `error` or `merge`
+     * @throws If a value is invalid, or a unique constraint would be violated.
      * @return {Model} a new {@link Model} instance.
      */
-    static create(userProps) {
+    static create(userProps, opts) {
+        const props = this._withDefaults(userProps);
+
+        if (opts && opts.onConflict === 'merge') {
+            // The existing object may have been created earlier in the session.
+            const conflict = this.getBackend().findUniqueConflict(this._getPendingState(), [props]);
+            if (conflict) {
+                const ModelClass = this;
+                const existing = new ModelClass(this._accessPendingId(conflict.id));
+                existing.update(omit(userProps, this.idAttribute));
+                return existing;
+            }
+        }
+        this.assertUnique([props]);
+
+        this._assignId(props);
+        const m2mVals = this._normalizeRelations(userProps, props);
+
+        this.addUpdate({
+            type: CREATE,
+            payload: props,
+        });
+        const ModelClass = this;
+        const instance = new ModelClass(props);
+
+        forOwn(m2mVals, (value, key) => {
+            instance[key].add(...value);
+        });
+
+        return instance;
+    }
+
+    /**
+     * Records the addition of many new {@link Model} instances with a single
+     * update, and returns them. Each object in `rows` is handled like the
+     * props of {@link Model.create}; the many-to-many values of all the rows
+     * are added with a single update of each through model.
+     *
+     * @param  {Object[]} rows - the properties of the new instances
+     * @throws If a value is invalid, or a unique constraint would be violated.
+     * @return {Model[]} the new {@link Model} instances.
+     */
+    static bulkCreate(rows) {
+        const propsList = rows.map(userProps => {
+            const props = this._withDefaults(userProps);
+            this._assignId(props);
+            return props;
+        });
+        this.assertUnique(propsList);
+
+        const m2mValues = propsList.map((props, idx) => {
+            return [this.getIdOf(props), this._normalizeRelations(rows[idx], props)];
+        });
+
+        if (propsList.length) {
+            this.addUpdate({
+                type: BULK_CREATE,
+                payload: propsList,
+            });
+        }
+        this._setManyToMany(m2mValues);
+
+        const ModelClass = this;
+        return propsList.map(props => new ModelClass(props));
+    }
+
+    /**
+     * Records the addition of the objects in `rows` that don't exist yet, and
+     * the update of the ones that do, with a single update. Every row must
+     * have an id. Many-to-many values replace the related objects, like in
+     * {@link Model#update}.
+     *
+     * @param  {Object[]} rows - the properties of the instances
+     * @param  {Object} [opts] - options
+     * @param  {string|Function} [opts.mergeStrategy='merge'] - how rows are combined
+     *                                                         with the existing objects:
+     *                                                         `merge` to merge the properties,
+     *                                                         `replace` to replace the objects,
+     *                                                         or a function that takes the
+     *                                                         existing object and the row and
+     *                                                         returns the updated object.
+     * @throws If a row has no id, a value is invalid, or a unique constraint would be violated.
+     * @return {Model[]} the created and updated {@link Model} instances, one per id.
+     */
+    static bulkUpsert(rows, opts) {
+        const mergeStrategy = (opts && opts.mergeStrategy) || 'merge';
+        if (typeof mergeStrategy !== 'function' && !MERGE_STRATEGIES.hasOwnProperty(mergeStrategy)) {
+            throw new Error(`${this.modelName}: Unknown merge strategy: ${mergeStrategy}`);
+        }
+        const mergeFunction = typeof mergeStrategy === 'function'
+            ? mergeStrategy
+            : MERGE_STRATEGIES[mergeStrategy];
+
         const idAttribute = this.idAttribute;
+        const idFields = isArray(idAttribute) ? idAttribute : [idAttribute];
+        const ids = [];
+        const resultsById = {};
+        const m2mValues = [];
+        const entries = rows.map(userProps => {
+            idFields.forEach(fieldName => {
+                if (typeof userProps[fieldName] === 'undefined' || userProps[fieldName] === null) {
+                    throw new Error(`${this.modelName}: Missing a value for the primary key field "${fieldName}".`);
+                }
+            });
+
+            const id = this.getIdOf(userProps);
+            const existing = resultsById.hasOwnProperty(id) ? resultsById[id] : this.accessId(id);
+            let props;
+            if (typeof existing === 'undefined' || mergeStrategy === 'replace') {
+                props = this._withDefaults(userProps);
+                this._assignId(props);
+            } else {
+                props = Object.assign({}, userProps);
+                this.validateAttributes(props, true);
+            }
+            m2mValues.push([id, this._normalizeRelations(userProps, props)]);
+
+            if (!resultsById.hasOwnProperty(id)) {
+                ids.push(id);
+            }
+            resultsById[id] = typeof existing === 'undefined' ? props : mergeFunction(existing, props);
+            return props;
+        });
+        this.assertUnique(ids.map(id => resultsById[id]));
+
+        if (entries.length) {
+            this.addUpdate({
+                type: UPSERT,
+                payload: {entries, mergeFunction},
+            });
+        }
+        this._setManyToMany(m2mValues);
+
+        const ModelClass = this;
+        return ids.map(id => new ModelClass(resultsById[id]));
+    }
+
+    // Returns a copy of `userProps` with the default values of attribute
+    // fields applied for missing properties, after validating it.
+    static _withDefaults(userProps) {
         const props = Object.assign({}, userProps);
+        forOwn(this.fields, (field, fieldName) => {
+            if (field instanceof Attribute &&
+                    field.hasDefault &&
+                    !props.hasOwnProperty(fieldName)) {
+                props[fieldName] = field.getDefault();
+            }
+        });
+        this.validateAttributes(props);
+        return props;
+    }
 
-        if (!props.hasOwnProperty(idAttribute)) {
-            const nextId = this.nextId();
-            props[idAttribute] = nextId;
-            this._sessionCache.nextId++;
+    // Sets a generated id in the props of a new object, if it has none.
+    static _assignId(props) {
+        const idAttribute = this.idAttribute;
+        if (isArray(idAttribute)) {
+            // Composite primary keys are not generated.
+            idAttribute.forEach(fieldName => {
+                if (typeof props[fieldName] === 'undefined' || props[fieldName] === null) {
+                    throw new Error(`${this.modelName}: Missing a value for the primary key field "${fieldName}".`);
+                }
+            });
         } else {
-            const id = props[idAttribute];
-            if (id > this.nextId()) {
-                this._sessionCache.nextId = id + 1;
+            if (!props.hasOwnProperty(idAttribute)) {
+                props[idAttribute] = this.nextId();
             }
+            // nextId doesn't advance the generators, the id is taken here.
+            observeId(this, props[idAttribute]);
         }
+    }
 
+    // Replaces the relations in `props` from `userProps` with the ids of the
+    // related objects. Many-to-many values are removed from `props` and
+    // returned as an object of field names and lists of related objects.
+    static _normalizeRelations(userProps, props) {
         const m2mVals = {};
 
         forOwn(userProps, (value, key) => {
-            props[key] = normalizeEntity(value);
-
-            // If a value is supplied for a ManyToMany field,
-            // discard them from props and save for later processing.
-            if (isArray(value)) {
-                if (this.fields.hasOwnProperty(key) && this.fields[key] instanceof ManyToMany) {
-                    m2mVals[key] = value;
-                    delete props[key];
-                }
+            const field = this.fields.hasOwnProperty(key) ? this.fields[key] : undefined;
+
+            if (isArray(value) && field instanceof ManyToMany) {
+                // If a value is supplied for a ManyToMany field,
+                // discard them from props and save for later processing.
+                m2mVals[key] = value;
+                delete props[key];
+            } else if (field instanceof ForeignKey || field instanceof OneToOne) {
+                props[key] = normalizeEntity(value, relatedModelOf(this, field));
+            } else {
+                props[key] = normalizeEntity(value);
             }
         });
+        return m2mVals;
+    }
 
-        this.addUpdate({
-            type: CREATE,
-            payload: props,
+    /**
+     * Sets the related objects of many-to-many fields for many objects
+     * at once. The rows of each through model for other related objects
+     * are deleted, and the missing rows created, with a single update each.
+     *
+     * @private
+     * @param  {Array[]} m2mValues - a list of `[id, m2mVals]` pairs, where `m2mVals`
+     *                              is an object of field names and lists of
+     *                              related objects or ids for the object `id`.
+     * @return {undefined}
+     */
+    static _setManyToMany(m2mValues) {
+        const valuesByField = {};
+        m2mValues.forEach(([id, m2mVals]) => {
+            forOwn(m2mVals, (values, key) => {
+                if (!valuesByField.hasOwnProperty(key)) {
+                    valuesByField[key] = [];
+                }
+                valuesByField[key].push([id, values]);
+            });
         });
-        const ModelClass = this;
-        const instance = new ModelClass(props);
 
-        forOwn(m2mVals, (value, key) => {
-            const ids = value.map(normalizeEntity);
-            instance[key].add(...ids);
-        });
+        forOwn(valuesByField, (idValues, key) => {
+            const field = this.virtualFields[key];
+            const throughModel = this.session[field.through];
+            const [fromFieldName, toFieldName] = field.throughFields;
+            const relatedModel = relatedModelOf(this, field);
+
+            const relatedIds = {};
+            idValues.forEach(([id, values]) => {
+                relatedIds[id] = normalizeEntities(values, relatedModel);
+            });
+
+            const isRelated = {};
+            const throughIdsToDelete = [];
+            throughModel.accessIds().forEach(throughId => {
+                const row = throughModel.accessId(throughId);
+                const fromId = row[fromFieldName];
+                if (!relatedIds.hasOwnProperty(fromId)) return;
+
+                if (relatedIds[fromId].includes(row[toFieldName])) {
+                    isRelated[JSON.stringify([fromId, row[toFieldName]])] = true;
+                } else {
+                    throughIdsToDelete.push(throughId);
+                }
+            });
 
-        return instance;
+            const throughRows = [];
+            idValues.forEach(([id]) => {
+                relatedIds[id].forEach(relatedId => {
+                    if (!isRelated[JSON.stringify([id, relatedId])]) {
+                        throughRows.push({[fromFieldName]: id, [toFieldName]: relatedId});
+                    }
+                });
+            });
+
+            if (throughIdsToDelete.length) {
+                throughModel.getQuerySetFromIds(throughIdsToDelete).delete();
+            }
+            if (throughRows.length) {
+                throughModel.bulkCreate(throughRows);
+            }
+        });
     }
 
     static withId(id) {
@@ -403,7 +959,9 @@ const Model = class Model {
      * Gets the {@link Model} instance that matches properties in `lookupObj`.
      * Throws an error if {@link Model} is not found.
      *
-     * @param  {Object} lookupObj - the properties used to match a single entity.
+     * @param  {Object|Q} lookupObj - the properties used to match a single entity, or a
+     *                                {@link Q} instance. Supports the same lookups as
+     *                                {@link QuerySet#filter}.
      * @return {Model} a {@link Model} instance that matches `lookupObj` properties.
      */
     static get(lookupObj) {
@@ -414,40 +972,141 @@ const Model = class Model {
 
         // We treat `idAttribute` as unique, so if it's
         // in `lookupObj` we search with that attribute only.
-        if (lookupObj.hasOwnProperty(this.idAttribute)) {
-            const props = this.accessId(lookupObj[this.idAttribute]);
-            if (typeof props !== 'undefined') {
+        const idAttribute = this.idAttribute;
+        const idFields = isArray(idAttribute) ? idAttribute : [idAttribute];
+        if (!(lookupObj instanceof Q) && idFields.every(fieldName => lookupObj.hasOwnProperty(fieldName))) {
+            const props = this.accessId(isArray(idAttribute)
+                ? this.getIdOf(lookupObj)
+                : lookupObj[idAttribute]);
+            if (typeof props !== 'undefined' && !(this.softDelete && isSoftDeleted(props))) {
                 return new ModelClass(props);
             }
 
             throw new Error('Model instance not found when calling get method');
         }
 
-        const iterator = this.iterator();
-
-        let done = false;
-        while (!done) {
-            const curr = iterator.next();
-            if (match(lookupObj, curr.value)) {
-                return new ModelClass(curr.value);
-            }
-            done = curr.done;
+        // Uses the secondary indexes if possible.
+        const props = this.getQuerySet().plain.filter(lookupObj).first();
+        if (typeof props !== 'undefined') {
+            return new ModelClass(props);
         }
 
         throw new Error('Model instance not found when calling get method');
     }
 
+    /**
+     * Records the deletion of `instances`. If the model uses `softDelete`,
+     * the instances are marked as deleted and their relations are left as is.
+     * The objects the deletion cascades to are marked as deleted as well
+     * if their model uses `softDelete`. Otherwise the instances are removed,
+     * see {@link Model._purgeInstances}.
+     *
+     * @param  {Model[]} instances - the instances to delete
+     * @throws If an object to delete is referenced through a `PROTECT` relation.
+     * @return {undefined}
+     */
+    static _deleteInstances(instances) {
+        if (!this.softDelete) {
+            this._purgeInstances(instances);
+            return;
+        }
+
+        const remaining = instances.filter(instance => !isSoftDeleted(this.accessId(instance.getId())));
+        if (!remaining.length) return;
+
+        // Checks the `PROTECT` relations and follows the `CASCADE` ones
+        // like a removal. Objects of models without soft delete, such
+        // as many-to-many rows, are left as they are.
+        const collected = {};
+        collectDeletions(this, remaining, collected);
+
+        const deletedAt = Date.now();
+        forOwn(collected, ({modelClass, instances: toDelete}) => {
+            if (!modelClass.softDelete) return;
+            const idArr = toDelete
+                .map(instance => instance.getId())
+                .filter(id => !isSoftDeleted(modelClass.accessId(id)));
+            if (idArr.length) {
+                modelClass.addUpdate({
+                    type: UPDATE,
+                    payload: {
+                        idArr,
+                        updater: {deletedAt},
+                    },
+                });
+            }
+        });
+    }
+
+    /**
+     * Records the removal of `instances` and any objects
+     * the removal cascades to, then applies the `onDelete` policies
+     * of the remaining relations. Nothing is recorded if a
+     * `PROTECT` relation prevents the removal.
+     *
+     * @param  {Model[]} instances - the instances to remove
+     * @throws If an object to remove is referenced through a `PROTECT` relation.
+     * @return {undefined}
+     */
+    static _purgeInstances(instances) {
+        const collected = {};
+        collectDeletions(this, instances, collected);
+
+        forOwn(collected, ({modelClass, instances: toDelete}) => {
+            modelClass.addUpdate({
+                type: DELETE,
+                payload: toDelete.map(instance => instance.getId()),
+            });
+        });
+
+        forOwn(collected, ({instances: toDelete}) => {
+            toDelete.forEach(instance => instance._onDelete(collected));
+        });
+    }
+
+    /**
+     * Records the removal of soft deleted objects, see `softDelete`.
+     * The removal cascades and applies the `onDelete` policies
+     * like a deletion does without soft delete.
+     *
+     * @param  {Object} [opts] - options
+     * @param  {number|Date} [opts.olderThan] - only remove the objects deleted before this
+     *                                          time. If omitted, all soft deleted objects are removed.
+     * @throws If the model doesn't use `softDelete`, or an object to remove is
+     *         referenced through a `PROTECT` relation.
+     * @return {undefined}
+     */
+    static purgeDeleted(opts = {}) {
+        if (!this.softDelete) {
+            throw new Error(`${this.modelName}: Can't purge deleted objects without softDelete.`);
+        }
+        const olderThan = opts.olderThan instanceof Date ? opts.olderThan.getTime() : opts.olderThan;
+        const lookupObj = typeof olderThan === 'undefined'
+            ? {deletedAt__isnull: false}
+            : {deletedAt__lt: olderThan};
+
+        const instances = this.withDeleted().filter(lookupObj).models.objects();
+        if (instances.length) {
+            this._purgeInstances(instances);
+        }
+    }
+
     /**
      * Records an ordering update for the objects.
      * Note that if you create or update any objects after
-     * calling this, they won't be in order.
+     * calling this, they won't be in order. To keep the objects
+     * in order, declare the `ordering` property instead.
      *
      * @param {function|string|string[]} orderArg - A function, an attribute name or a list of attribute
      *                                              names to order the objects by. If you supply a function,
      *                                              it must return a value user to order the entities.
+     * @throws If the model declares `ordering`.
      * @return {undefined}
      */
     static setOrder(orderArg) {
+        if (this.ordering) {
+            throw new Error(`${this.modelName}: Can't change the order of objects kept in the declared ordering.`);
+        }
         this.addUpdate({
             type: ORDER,
             payload: orderArg,
@@ -470,7 +1129,7 @@ const Model = class Model {
      * @return {*} The id value of the current instance.
      */
     getId() {
-        return this._fields[this.getClass().idAttribute];
+        return this.getClass().getIdOf(this._fields);
     }
 
     /**
@@ -517,6 +1176,7 @@ const Model = class Model {
     /**
      * Records a update to the {@link Model} instance for multiple field value assignments.
      * @param  {Object} userMergeObj - an object that will be merged with this instance.
+     * @throws If a value is invalid, or a unique constraint would be violated.
      * @return {undefined}
      */
     update(userMergeObj) {
@@ -533,7 +1193,8 @@ const Model = class Model {
                     const currentIds = this[mergeKey].idArr;
 
                     // TODO: It could be better to check this stuff in Backend.
-                    const normalizedNewIds = mergeObj[mergeKey].map(normalizeEntity);
+                    const relatedModel = relatedModelOf(this.getClass(), field);
+                    const normalizedNewIds = normalizeEntities(mergeObj[mergeKey], relatedModel);
                     const diffActions = arrayDiffActions(currentIds, normalizedNewIds);
                     if (diffActions) {
                         const idsToDelete = diffActions.delete;
@@ -548,12 +1209,17 @@ const Model = class Model {
                     }
                     delete mergeObj[mergeKey];
                 } else if (field instanceof ForeignKey || field instanceof OneToOne) {
-                    mergeObj[mergeKey] = normalizeEntity(mergeObj[mergeKey]);
+                    mergeObj[mergeKey] = normalizeEntity(mergeObj[mergeKey], relatedModelOf(this.getClass(), field));
                 }
             }
         }
 
-        this.getClass().addUpdate({
+        const ModelClass = this.getClass();
+        ModelClass.validateAttributes(mergeObj, true);
+        if (ModelClass.getBackend().unique.length) {
+            ModelClass.assertUnique([Object.assign({}, ModelClass._accessPendingId(this.getId()), mergeObj)]);
+        }
+        ModelClass.addUpdate({
             type: UPDATE,
             payload: {
                 idArr: [this.getId()],
@@ -563,37 +1229,72 @@ const Model = class Model {
     }
 
     /**
-     * Records the {@link Model} to be deleted.
+     * Records the {@link Model} to be deleted. The `onDelete` policies
+     * of relations pointing to this instance are applied.
+     *
+     * @throws If the instance is referenced through a `PROTECT` relation.
      * @return {undefined}
      */
     delete() {
-        this.getClass().addUpdate({
-            type: DELETE,
-            payload: [this.getId()],
+        this.getClass()._deleteInstances([this]);
+    }
+
+    /**
+     * Records the soft deleted {@link Model} to be restored, along with
+     * the objects its deletion cascaded to. Their relations are left
+     * as they were when they were deleted.
+     *
+     * @throws If the model doesn't use `softDelete`.
+     * @return {undefined}
+     */
+    restore() {
+        const ModelClass = this.getClass();
+        if (!ModelClass.softDelete) {
+            throw new Error(`${ModelClass.modelName}: Can't restore objects without softDelete.`);
+        }
+        const entity = ModelClass._accessPendingId(this.getId());
+        if (!isSoftDeleted(entity)) return;
+
+        const collected = {};
+        const {deletedAt} = entity;
+        collectRestorations(ModelClass, [this], deletedAt, collected);
+
+        forOwn(collected, ({modelClass, instances}) => {
+            if (!modelClass.softDelete) return;
+            const idArr = instances
+                .map(instance => instance.getId())
+                .filter(id => modelClass._accessPendingId(id).deletedAt === deletedAt);
+            if (idArr.length) {
+                modelClass.addUpdate({
+                    type: UPDATE,
+                    payload: {
+                        idArr,
+                        updater: {deletedAt: null},
+                    },
+                });
+            }
         });
-        this._onDelete();
-    }
-
-    _onDelete() {
-        const virtualFields = this.getClass().virtualFields;
-        for (const key in virtualFields) { // eslint-disable-line
-            const field = virtualFields[key];
-            if (field instanceof ManyToMany) {
-                // Delete any many-to-many rows the entity is included in.
-                this[key].clear();
-            } else if (field instanceof ForeignKey) {
-                const relatedQs = this[key];
-                if (relatedQs.exists()) {
-                    relatedQs.update({[field.relatedName]: null});
-                }
-            } else if (field instanceof OneToOne) {
-                // Set null to any foreign keys or one to ones pointed to
-                // this instance.
-                if (this[key] !== null ) {
-                    this[key][field.relatedName] = null;
+    }
+
+    _onDelete(collected) {
+        forOwn(this.getClass().virtualFields, field => {
+            // Many-to-many rows are deleted along with the instance.
+            if (field instanceof ManyToMany) return;
+
+            if (field.onDelete === SET_NULL || field.onDelete === SET_DEFAULT) {
+                // Referencing objects that are deleted along
+                // with this instance don't need updating.
+                const toUpdate = referencingInstances(this, field)
+                    .filter(instance => !isCollected(collected, instance));
+
+                if (toUpdate.length) {
+                    const value = field.onDelete === SET_NULL ? null : field.getDefault();
+                    toUpdate[0].getClass()
+                        .getQuerySetFromIds(toUpdate.map(instance => instance.getId()))
+                        .update({[field.relatedName]: value});
                 }
             }
-        }
+        });
     }
 };
 
@@ -601,5 +1302,7 @@ Model.fields = {};
 Model.definedProperties = {};
 Model.virtualFields = {};
 Model.querySetClass = QuerySet;
+Model.idGenerator = 'autoIncrement';
+Model.softDelete = false;
 
 export default Model;
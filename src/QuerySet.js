@@ -1,11 +1,41 @@
-import reject from 'lodash/collection/reject';
-import filter from 'lodash/collection/filter';
+import find from 'lodash/collection/find';
 import sortByOrder from 'lodash/collection/sortByOrder';
+import mapValues from 'lodash/object/mapValues';
+import uniq from 'lodash/array/uniq';
 
+import GroupedQuerySet from './GroupedQuerySet';
+
+import {UPDATE, NO_RELATED} from './constants.js';
 import {
-    UPDATE,
-    DELETE,
-} from './constants.js';
+    lookupPredicate,
+    getPathValues,
+    parseLookupKey,
+    LOOKUP_SEPARATOR,
+} from './lookups';
+
+// The types of the clauses in a query plan.
+const FILTER = 'filter';
+const ORDER_BY = 'orderBy';
+const SLICE = 'slice';
+
+// Returns the exact lookups in `lookupObj` on fields of the
+// object itself with primitive values. These can be looked up
+// from a secondary index.
+function indexableLookups(lookupObj) {
+    if (typeof lookupObj.toPredicate === 'function') {
+        // A Q instance.
+        return undefined;
+    }
+    return Object.keys(lookupObj).reduce((lookups, key) => {
+        const {fieldName, operator} = parseLookupKey(key);
+        const value = lookupObj[key];
+        const isPrimitive = value === null || ['string', 'number', 'boolean'].includes(typeof value);
+        if (operator === 'exact' && !fieldName.includes(LOOKUP_SEPARATOR) && isPrimitive) {
+            lookups[fieldName] = value;
+        }
+        return lookups;
+    }, {});
+}
 
 /**
  * A chainable class that keeps track of a list of objects and
@@ -13,6 +43,11 @@ import {
  * - returns a subset clone of itself with [filter]{@link QuerySet#filter} and [exclude]{@link QuerySet#exclude}
  * - records updates to objects with [update]{@link QuerySet#update} and [delete]{@link QuerySet#delete}
  *
+ * QuerySets are lazy: `filter`, `exclude`, `orderBy` and `slice` only
+ * record a clause in the query plan. The plan is evaluated when the
+ * objects are consumed, e.g. with `count`, `at`, `toPlain` or iteration,
+ * and the result is cached in the QuerySet. In a session with mutations,
+ * the plan is evaluated when the QuerySet is created.
  */
 const QuerySet = class QuerySet {
     /**
@@ -22,13 +57,16 @@ const QuerySet = class QuerySet {
      * @param {Object} [opts] - additional options
      */
     constructor(modelClass, idArr, opts) {
-        Object.assign(this, {
-            modelClass,
-            idArr,
-        });
+        this.modelClass = modelClass;
 
         this._opts = opts;
 
+        // The query plan: the ids to start from and
+        // the clauses to apply to them in order.
+        this._baseIdArr = idArr;
+        this._clauses = (opts && opts.clauses) || [];
+        this._evaluatedIdArr = this._clauses.length ? null : idArr;
+
         // A flag that tells if the user wants
         // the result in plain javascript objects
         // or {@link Model} instances.
@@ -44,12 +82,185 @@ const QuerySet = class QuerySet {
         this.sharedMethods = this.sharedMethods.concat(methodName);
     }
 
-    _new(ids) {
+    _new(ids, userOpts) {
         const plain = this._plain;
-        const opts = Object.assign({}, this._opts, {plain});
+        const opts = Object.assign({}, this._opts, {plain, clauses: []}, userOpts);
         return new this.constructor(this.modelClass, ids, opts);
     }
 
+    // Returns a new QuerySet with the query plan of this
+    // QuerySet, extended with `clause` if supplied.
+    _chain(clause, userOpts) {
+        const qs = this._evaluatedIdArr
+            ? this._new(this._evaluatedIdArr, Object.assign({
+                clauses: clause ? [clause] : [],
+            }, userOpts))
+            : this._new(this._baseIdArr, Object.assign({
+                clauses: clause ? this._clauses.concat(clause) : this._clauses,
+            }, userOpts));
+
+        // A mutating session changes the state in place, so the
+        // query plan is evaluated right away to see the objects
+        // as they are when the QuerySet is created.
+        const session = this.modelClass._session;
+        if (session && session.withMutations && !qs._evaluatedIdArr) {
+            qs._evaluatedIdArr = qs._evaluate();
+        }
+        return qs;
+    }
+
+    /**
+     * The ids of the objects in this QuerySet, in order.
+     * Evaluates the query plan on first access.
+     * @type {Array}
+     */
+    get idArr() {
+        if (!this._evaluatedIdArr) {
+            this._evaluatedIdArr = this._evaluate();
+        }
+        return this._evaluatedIdArr;
+    }
+
+    // Evaluates the query plan. If `maxCount` is supplied, only
+    // the first `maxCount` ids of the result are computed, so that
+    // filtering can stop as soon as enough matches are found.
+    _evaluate(maxCount) {
+        if (this._evaluatedIdArr) {
+            return typeof maxCount === 'undefined'
+                ? this._evaluatedIdArr
+                : this._evaluatedIdArr.slice(0, maxCount);
+        }
+
+        const clauses = this._clauses;
+
+        // Walk the plan backwards to find out how many
+        // results each clause needs to produce.
+        const needed = new Array(clauses.length);
+        let need = maxCount;
+        for (let i = clauses.length - 1; i >= 0; i--) {
+            const clause = clauses[i];
+            needed[i] = need;
+            if (clause.type === SLICE && clause.start >= 0 &&
+                    (typeof clause.end === 'undefined' || clause.end >= 0)) {
+                const upTo = typeof need === 'undefined' ? clause.end : clause.start + need;
+                need = typeof clause.end === 'undefined' ? upTo : Math.min(upTo, clause.end);
+            } else {
+                need = undefined;
+            }
+        }
+
+        let ids = this._baseIdArr;
+        let i = 0;
+        while (i < clauses.length) {
+            const clause = clauses[i];
+            if (clause.type === FILTER) {
+                // Consecutive filters are applied in a single pass.
+                let last = i;
+                while (last + 1 < clauses.length && clauses[last + 1].type === FILTER) {
+                    last++;
+                }
+                const filterClauses = clauses.slice(i, last + 1);
+                if (i === 0) {
+                    ids = this._indexCandidates(filterClauses) || ids;
+                }
+                ids = this._applyFilters(ids, filterClauses, needed[last]);
+                i = last + 1;
+            } else {
+                if (clause.type === ORDER_BY) {
+                    const entities = sortByOrder(ids.map(id => this._accessId(id)), clause.iteratees, clause.orders);
+                    ids = entities.map(entity => this.modelClass.getIdOf(entity));
+                } else {
+                    ids = ids.slice(clause.start, clause.end);
+                }
+                i++;
+            }
+        }
+
+        return typeof maxCount === 'undefined' ? ids : ids.slice(0, maxCount);
+    }
+
+    // Returns the base ids that may match `filterClauses`, found
+    // with a secondary index. Returns `undefined` if no index applies.
+    _indexCandidates(filterClauses) {
+        if (this._annotations) {
+            return undefined;
+        }
+
+        const modelClass = this.modelClass;
+        const backend = modelClass.getBackend();
+        const clause = find(filterClauses, ({lookups, exclude}) => {
+            return !exclude && lookups && backend.getIndexFor(Object.keys(lookups));
+        });
+        if (!clause) {
+            return undefined;
+        }
+
+        const index = backend.getIndexFor(Object.keys(clause.lookups));
+        const indexed = modelClass.accessIndex(index, index.map(fieldName => clause.lookups[fieldName]));
+        if (!indexed || this._baseIdArr === modelClass.accessIds()) {
+            // The indexed ids are in the same order as all ids.
+            return indexed;
+        }
+
+        const isIndexed = {};
+        indexed.forEach(id => { isIndexed[id] = true; });
+        return this._baseIdArr.filter(id => isIndexed[id]);
+    }
+
+    _applyFilters(ids, filterClauses, maxCount) {
+        const result = [];
+        for (let i = 0; i < ids.length && result.length !== maxCount; i++) {
+            if (this._matchesFilters(ids[i], filterClauses)) {
+                result.push(ids[i]);
+            }
+        }
+        return result;
+    }
+
+    _matchesFilters(id, filterClauses) {
+        let entity;
+        let instance;
+        return filterClauses.every(({predicate, exclude, plain}) => {
+            let obj;
+            if (plain) {
+                entity = entity || this._accessId(id);
+                obj = entity;
+            } else {
+                instance = instance || this._getInstance(id);
+                obj = instance;
+            }
+            return Boolean(predicate(obj)) !== exclude;
+        });
+    }
+
+    get _annotations() {
+        return this._opts && this._opts.annotations;
+    }
+
+    // Returns the plain object with id `id`. If the QuerySet
+    // is annotated, returns a copy with the annotations.
+    _accessId(id) {
+        const entity = this.modelClass.accessId(id);
+        const annotations = this._annotations;
+        if (!annotations || typeof entity === 'undefined') {
+            return entity;
+        }
+
+        if (!this._annotatedCache) {
+            this._annotatedCache = {};
+        }
+        if (!this._annotatedCache.hasOwnProperty(id)) {
+            this._annotatedCache[id] = Object.keys(annotations).reduce((annotated, name) => {
+                const annotation = annotations[name];
+                annotated[name] = typeof annotation === 'function'
+                    ? annotation(annotated)
+                    : annotation.compute(this.modelClass, [entity]);
+                return annotated;
+            }, Object.assign({}, entity));
+        }
+        return this._annotatedCache[id];
+    }
+
     get plain() {
         this._plain = true;
         return this;
@@ -66,14 +277,21 @@ const QuerySet = class QuerySet {
         }).join('\n    - ');
     }
 
+    _getInstance(id) {
+        const ModelClass = this.modelClass;
+        const entity = this._accessId(id);
+        if (typeof entity === 'undefined') {
+            throw new Error('Model instance not found when calling get method');
+        }
+        return new ModelClass(entity);
+    }
+
     /**
      * Returns an array of the plain objects represented by the QuerySet.
      * @return {Object[]}
      */
     toPlain() {
-        return this.idArr.map(id => {
-            return this.modelClass.accessId(id);
-        });
+        return this.idArr.map(id => this._accessId(id));
     }
 
     /**
@@ -89,7 +307,7 @@ const QuerySet = class QuerySet {
      * @return {Boolean} `true` if QuerySet contains entities, else `false`.
      */
     exists() {
-        return Boolean(this.count());
+        return this._evaluate(1).length > 0;
     }
 
     /**
@@ -98,10 +316,11 @@ const QuerySet = class QuerySet {
      * @return {Model} an {@link Model} instance at index `index` in the QuerySet
      */
     at(index) {
-        if (this._plain) {
-            return this.modelClass.accessId(this.idArr[index]);
-        }
-        return this.modelClass.get({[this.modelClass.idAttribute]: this.idArr[index]});
+        return this._objectWithId(this.idArr[index]);
+    }
+
+    _objectWithId(id) {
+        return this._plain ? this._accessId(id) : this._getInstance(id);
     }
 
     /**
@@ -109,7 +328,7 @@ const QuerySet = class QuerySet {
      * @return {Model}
      */
     first() {
-        return this.at(0);
+        return this._objectWithId(this._evaluate(1)[0]);
     }
 
     /**
@@ -125,7 +344,93 @@ const QuerySet = class QuerySet {
      * @return {QuerySet} a new QuerySet with the same objects.
      */
     all() {
-        return this._new(this.idArr);
+        return this._chain();
+    }
+
+    /**
+     * Returns a new {@link QuerySet} with the objects from index `start`
+     * up to, but not including, index `end`. Negative indices count
+     * from the end, like with `Array.prototype.slice`.
+     *
+     * @param  {number} [start=0] - the index to start from
+     * @param  {number} [end] - the index to end at. Defaults to the end of the QuerySet.
+     * @return {QuerySet} a new {@link QuerySet} with the sliced objects.
+     */
+    slice(start, end) {
+        return this._chain({type: SLICE, start: start || 0, end});
+    }
+
+    /**
+     * Returns a new {@link QuerySet} with at most the first `count` objects.
+     * @param  {number} count - the maximum number of objects
+     * @return {QuerySet} a new {@link QuerySet} with at most `count` objects.
+     */
+    limit(count) {
+        return this.slice(0, count);
+    }
+
+    /**
+     * Returns a new {@link QuerySet} without the first `count` objects.
+     * @param  {number} count - the number of objects to skip
+     * @return {QuerySet} a new {@link QuerySet} without the first `count` objects.
+     */
+    offset(count) {
+        return this.slice(count);
+    }
+
+    /**
+     * Returns a page of objects. Pages are identified by cursors that refer to
+     * the id of the object they start after or end before, so the pages stay
+     * stable when objects are added to or removed from the QuerySet, as long as the
+     * order (e.g. from {@link QuerySet#orderBy}) stays the same.
+     * If the object a cursor refers to is no longer in the QuerySet,
+     * the first page is returned.
+     *
+     * ```javascript
+     * const first = Book.orderBy('title').paginate({pageSize: 20});
+     * const second = Book.orderBy('title').paginate({pageSize: 20, cursor: first.nextCursor});
+     * ```
+     *
+     * @param  {Object} opts - pagination options
+     * @param  {number} opts.pageSize - the maximum number of objects on a page
+     * @param  {string} [opts.cursor] - a `nextCursor` or `prevCursor` from an earlier page.
+     *                                  Omit it to get the first page.
+     * @return {Object} an object with `items`, a {@link QuerySet} of the objects on the page,
+     *                  `nextCursor` and `prevCursor`, the cursors of the adjacent pages or
+     *                  `null` if there are none, and `total`, the number of objects in this QuerySet.
+     */
+    paginate({pageSize, cursor}) {
+        if (!(pageSize > 0) || Math.floor(pageSize) !== pageSize) {
+            throw new Error(`Page size must be a positive integer, got ${pageSize}.`);
+        }
+
+        const total = this.idArr.length;
+        let start = 0;
+        let end = Math.min(pageSize, total);
+        if (cursor) {
+            const match = /^(after|before):(.*)$/.exec(cursor);
+            if (!match) {
+                throw new Error(`Invalid cursor: ${cursor}`);
+            }
+            const [, direction, cursorId] = match;
+            const index = this.idArr.findIndex(id => String(id) === cursorId);
+            if (index !== -1 && direction === 'after') {
+                start = index + 1;
+                end = Math.min(start + pageSize, total);
+            } else if (index !== -1) {
+                // The previous page ends before the cursor,
+                // and may be shorter at the start of the list.
+                start = Math.max(index - pageSize, 0);
+                end = index;
+            }
+        }
+
+        return {
+            items: this.slice(start, end),
+            nextCursor: end < total ? `after:${this.idArr[end - 1]}` : null,
+            prevCursor: start > 0 && start < total ? `before:${this.idArr[start]}` : null,
+            total,
+        };
     }
 
     /**
@@ -136,13 +441,23 @@ const QuerySet = class QuerySet {
      * @return {Array} An array of either JavaScript objects or Model instances.
      */
     objects() {
-        return this.idArr.map((_, idx) => this.at(idx));
+        return this.idArr.map(id => this._objectWithId(id));
     }
 
     /**
      * Returns a new {@link QuerySet} with objects that match properties in `lookupObj`.
      *
-     * @param  {Object} lookupObj - the properties to match objects with.
+     * Lookup keys may end with an operator separated by a double underscore,
+     * for example `{age__gte: 18, name__icontains: 'tom'}`. The supported operators
+     * are `exact` (the default), `iexact`, `gt`, `gte`, `lt`, `lte`, `in`, `range`,
+     * `isnull`, `contains`, `icontains`, `startswith`, `istartswith`, `endswith`,
+     * `iendswith`, `regex` and `iregex`.
+     *
+     * Lookups can also span relations, for example `{author__name: 'Tolkien'}`.
+     * See {@link module:lookups~lookupPredicate}.
+     *
+     * @param  {Object|Q|Function} lookupObj - the properties to match objects with,
+     *                                         a {@link Q} instance or a predicate function.
      * @return {QuerySet} a new {@link QuerySet} with objects that passed the filter.
      */
     filter(lookupObj) {
@@ -152,7 +467,9 @@ const QuerySet = class QuerySet {
     /**
      * Returns a new {@link QuerySet} with objects that do not match properties in `lookupObj`.
      *
-     * @param  {Object} lookupObj - the properties to unmatch objects with.
+     * @param  {Object|Q|Function} lookupObj - the properties to unmatch objects with,
+     *                                         a {@link Q} instance or a predicate function.
+     *                                         Supports the same lookups as {@link QuerySet#filter}.
      * @return {QuerySet} a new {@link QuerySet} with objects that passed the filter.
      */
     exclude(lookupObj) {
@@ -160,30 +477,68 @@ const QuerySet = class QuerySet {
     }
 
     _filterOrExclude(lookupObj, exclude) {
-        const startPlainFlag = this._plain;
-        const func = exclude ? reject : filter;
-        let entities;
-        if (typeof lookupObj === 'function') {
+        const isFunction = typeof lookupObj === 'function';
+        return this._chain({
+            type: FILTER,
+            exclude,
+            predicate: isFunction
+                ? lookupObj
+                : lookupPredicate(lookupObj, this.modelClass),
+            lookups: isFunction ? undefined : indexableLookups(lookupObj),
             // For filtering with function,
             // use whatever object type
-            // is flagged.
-            entities = this.objects();
-        } else {
-            // Lodash filtering doesn't work with
-            // Model instances.
-            entities = this.plain.objects();
-        }
-        const filteredEntities = func(entities, lookupObj);
+            // is flagged. Lookup objects are
+            // matched against plain objects.
+            plain: isFunction ? this._plain : true,
+        });
+    }
 
-        const getIdFunc = this._plain
-            ? (obj) => obj[this.modelClass.idAttribute]
-            : (obj) => obj.getId();
+    /**
+     * Computes aggregates over the objects in this {@link QuerySet}.
+     *
+     * ```javascript
+     * Book.aggregate({total: Sum('price'), avg: Avg('rating'), n: Count()});
+     * // {total: 120, avg: 3.5, n: 10}
+     * ```
+     *
+     * @param  {Object} aggregates - an object of result names and {@link Aggregate} instances.
+     *                               The aggregated fields may span relations.
+     * @return {Object} an object of result names and aggregated values
+     */
+    aggregate(aggregates) {
+        const entities = this.toPlain();
+        return mapValues(aggregates, aggregate => aggregate.compute(this.modelClass, entities));
+    }
 
-        const newIdArr = filteredEntities.map(getIdFunc);
+    /**
+     * Groups the objects in this {@link QuerySet}.
+     *
+     * If `key` is a field name, objects are grouped by the value of that field.
+     * The field name may span relations; an object related to many values is
+     * included in the group of each value, and an object with no related values
+     * in the group with the key `NO_RELATED`, apart from a `null` value.
+     *
+     * @param  {string|Function} key - a field name, or a function that takes a plain
+     *                                 object and returns its group key.
+     * @return {GroupedQuerySet} the groups
+     */
+    groupBy(key) {
+        const getKeys = typeof key === 'function'
+            ? entity => [key(entity)]
+            : entity => uniq(getPathValues(this.modelClass, entity, key));
 
-        // Return flag to original value.
-        this._plain = startPlainFlag;
-        return this._new(newIdArr);
+        const groupIds = {};
+        this.toPlain().forEach(entity => {
+            const keys = getKeys(entity);
+            (keys.length ? keys : [NO_RELATED]).forEach(groupKey => {
+                if (!groupIds.hasOwnProperty(groupKey)) {
+                    groupIds[groupKey] = [];
+                }
+                groupIds[groupKey].push(this.modelClass.getIdOf(entity));
+            });
+        });
+
+        return new GroupedQuerySet(mapValues(groupIds, ids => this._new(ids)));
     }
 
     /**
@@ -206,20 +561,46 @@ const QuerySet = class QuerySet {
      * @return {Array}  the mapped array
      */
     map(func) {
-        return this.idArr.map((_, idx) => {
-            return func(this.at(idx));
-        });
+        return this.idArr.map(id => func(this._objectWithId(id)));
     }
 
     /**
-     * Returns a new {@link QuerySet} with objects ordered by `fieldNames` in ascending
-     * order.
-     * @param  {string[]} fieldNames - the property names to order by.
-     * @return {QuerySet} a new {@link QuerySet} with objects ordered by `fieldNames`.
+     * Returns a new {@link QuerySet} with objects ordered by `iteratees`.
+     * This uses the `lodash `[sortByOrder](https://lodash.com/docs#sortByOrder)
+     * internally, so you can supply it the same `iteratees` and `orders`
+     * arguments. Iteratee functions receive plain objects.
+     *
+     * @param  {Function[]|string[]|string} iteratees - the property names or functions to order by.
+     * @param  {string[]} [orders] - the sort orders of `iteratees`, `asc` (default) or `desc`.
+     * @return {QuerySet} a new {@link QuerySet} with objects ordered by `iteratees`.
      */
-    orderBy(args) {
-        const entities = sortByOrder.apply([this.objects()].concat(args));
-        return this._new(entities.map(entity => entity[this.modelClass.idAttribute]));
+    orderBy(iteratees, orders) {
+        return this._chain({type: ORDER_BY, iteratees, orders});
+    }
+
+    /**
+     * Returns a new {@link QuerySet} where each object has additional,
+     * computed properties. The annotations are available to later
+     * `filter`, `exclude`, `orderBy`, `aggregate` and `toPlain` calls, and on
+     * the {@link Model} instances, but they are never written to the state.
+     *
+     * ```javascript
+     * Author.annotate({
+     *     bookCount: Count('books'),
+     *     fullName: author => `${author.firstName} ${author.lastName}`,
+     * }).filter({bookCount__gt: 1}).orderBy('bookCount', 'desc');
+     * ```
+     *
+     * @param  {Object} annotations - an object of property names and either {@link Aggregate}
+     *                                instances computed over a single object, or functions
+     *                                that take the plain object (including any earlier
+     *                                annotations) and return the value.
+     * @return {QuerySet} a new, annotated {@link QuerySet}
+     */
+    annotate(annotations) {
+        return this._chain(null, {
+            annotations: Object.assign({}, this._annotations, annotations),
+        });
     }
 
     /**
@@ -227,32 +608,105 @@ const QuerySet = class QuerySet {
      * @param  {Object|function} updater - an object to merge with all the objects in this
      *                                     queryset, or a mapper function that takes the
      *                                     object as an argument and returns an updated
-     *                                     object.
+     *                                     object. The function is called once for each
+     *                                     object when the update is recorded.
+     * @throws If a value is invalid, or a unique constraint would be violated.
      * @return {undefined}
      */
     update(updater) {
-        this.modelClass.addUpdate({
+        const {modelClass} = this;
+        const hasUnique = modelClass.getBackend().unique.length > 0;
+        if (typeof updater !== 'function') {
+            modelClass.validateAttributes(updater, true);
+            if (hasUnique) {
+                modelClass.assertUnique(this.idArr.map(id => Object.assign({}, modelClass.accessId(id), updater)));
+            }
+            modelClass.addUpdate({
+                type: UPDATE,
+                payload: {
+                    idArr: this.idArr,
+                    updater,
+                },
+            });
+            return;
+        }
+
+        // The function is called once for each object, with the object as
+        // the earlier updates in the session leave it. The update reads the
+        // results, so the validated values are the ones applied.
+        const updatedById = {};
+        const idArr = this.idArr.filter(id => {
+            const entity = modelClass._accessPendingId(id);
+            if (typeof entity === 'undefined') return false;
+            updatedById[id] = updater(entity);
+            modelClass.validateAttributes(updatedById[id]);
+            return true;
+        });
+        if (hasUnique) {
+            modelClass.assertUnique(idArr.map(id => updatedById[id]));
+        }
+        modelClass.addUpdate({
             type: UPDATE,
             payload: {
-                idArr: this.idArr,
-                updater,
+                idArr,
+                updater: entity => updatedById[modelClass.getIdOf(entity)],
             },
         });
     }
 
     /**
-     * Records a deletion of all the objects in this {@link QuerySet}.
+     * Records an update of many objects in this {@link QuerySet} with
+     * different values, with a single update. Ids in `mapById` of objects
+     * that are not in the {@link QuerySet} are ignored. Relations are
+     * handled like in {@link Model#update}; the many-to-many values of all
+     * the objects are set with a single update of each through model.
+     *
+     * @param  {Object} mapById - an object of ids and the properties to
+     *                            merge with the object with that id.
+     * @throws If a value is invalid, or a unique constraint would be violated.
      * @return {undefined}
      */
-    delete() {
-        this.modelClass.addUpdate({
-            type: DELETE,
-            payload: this.idArr,
+    bulkUpdate(mapById) {
+        const {modelClass} = this;
+        const idArr = this.idArr.filter(id => mapById.hasOwnProperty(id));
+
+        const propsById = {};
+        const m2mValues = idArr.map(id => {
+            const props = Object.assign({}, mapById[id]);
+            const m2mVals = modelClass._normalizeRelations(mapById[id], props);
+            modelClass.validateAttributes(props, true);
+            propsById[id] = props;
+            return [id, m2mVals];
         });
+        if (modelClass.getBackend().unique.length) {
+            modelClass.assertUnique(idArr.map(id => Object.assign({}, modelClass.accessId(id), propsById[id])));
+        }
+
+        if (idArr.length) {
+            modelClass.addUpdate({
+                type: UPDATE,
+                payload: {
+                    idArr,
+                    updater: entity => Object.assign({}, entity, propsById[modelClass.getIdOf(entity)]),
+                },
+            });
+        }
+        modelClass._setManyToMany(m2mValues);
+    }
 
+    /**
+     * Records a deletion of all the objects in this {@link QuerySet}.
+     * The `onDelete` policies of relations pointing to the objects are applied.
+     *
+     * @throws If an object is referenced through a `PROTECT` relation.
+     * @return {undefined}
+     */
+    delete() {
         const originalFlag = this._plain;
-        this.models.forEach(model => model._onDelete());
+        const instances = this.models.objects();
         this._plain = originalFlag;
+
+        this.modelClass._deleteInstances(instances);
     }
 };
 
@@ -263,6 +717,10 @@ QuerySet.sharedMethods = [
     'all',
     'last',
     'first',
+    'slice',
+    'limit',
+    'offset',
+    'paginate',
     'forEach',
     'exists',
     'filter',
@@ -270,7 +728,11 @@ QuerySet.sharedMethods = [
     'exclude',
     'orderBy',
     'update',
+    'bulkUpdate',
     'delete',
+    'aggregate',
+    'groupBy',
+    'annotate',
 ];
 
 export default QuerySet;
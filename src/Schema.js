@@ -8,6 +8,7 @@ import {
     ForeignKey,
     ManyToMany,
     OneToOne,
+    Attribute,
 } from './fields';
 import {
     forwardManyToOneDescriptor,
@@ -17,6 +18,8 @@ import {
     manyToManyDescriptor,
 } from './descriptors';
 import {memoize, eqCheck} from './memoize';
+import {historyReducer} from './history';
+import {optimisticReducer} from './optimistic';
 
 import {
     m2mName,
@@ -26,6 +29,37 @@ import {
     reverseFieldName,
 } from './utils';
 
+// Returns the names of the foreign keys in `throughModel` that point
+// to the model declaring the many-to-many field and the related model,
+// in that order.
+function resolveThroughFields(model, toModel, throughModel, fieldInstance, fieldName) {
+    if (!fieldInstance.through) {
+        return [m2mFromFieldName(model.modelName), m2mToFieldName(toModel.modelName)];
+    }
+    if (fieldInstance.throughFields) {
+        return fieldInstance.throughFields;
+    }
+
+    const fieldDescription = `${model.modelName}.${fieldName}`;
+    if (model === toModel) {
+        throw new Error(`${fieldDescription} relates a model to itself through ${throughModel.modelName}. ` +
+                        'Declare the through fields with the throughFields option.');
+    }
+
+    const foreignKeysTo = modelName => Object.keys(throughModel.fields).filter(name => {
+        const field = throughModel.fields[name];
+        return field instanceof ForeignKey && field.toModelName === modelName;
+    });
+    const fromFieldNames = foreignKeysTo(model.modelName);
+    const toFieldNames = foreignKeysTo(toModel.modelName);
+
+    if (fromFieldNames.length !== 1 || toFieldNames.length !== 1) {
+        throw new Error(`Could not infer the through fields of ${fieldDescription} ` +
+                        `from ${throughModel.modelName}. Declare them with the throughFields option.`);
+    }
+    return [fromFieldNames[0], toFieldNames[0]];
+}
+
 /**
  * Schema's responsibility is tracking the set of {@link Model} classes used in the database.
  * To include your model in that set, Schema offers {@link Schema#register} and a
@@ -84,9 +118,9 @@ const Schema = class Schema {
     /**
      * Registers a model class to the schema.
      *
-     * If the model has declared any ManyToMany fields, their
-     * through models will be generated and registered with
-     * this call.
+     * If the model has declared any ManyToMany fields without
+     * a `through` model, their through models will be generated
+     * and registered with this call.
      *
      * @param  {...Model} model - a model to register
      * @return {undefined}
@@ -106,7 +140,9 @@ const Schema = class Schema {
         const thisModelName = model.modelName;
 
         forOwn(fields, (fieldInstance, fieldName) => {
-            if (fieldInstance instanceof ManyToMany) {
+            // A user-declared through model is registered
+            // like any other model.
+            if (fieldInstance instanceof ManyToMany && !fieldInstance.through) {
                 let toModelName;
                 if (fieldInstance.toModelName === 'this') {
                     toModelName = thisModelName;
@@ -161,6 +197,10 @@ const Schema = class Schema {
             if (!model.isSetUp) {
                 const fields = model.fields;
                 forOwn(fields, (fieldInstance, fieldName) => {
+                    // Attributes are plain values, they don't
+                    // need any descriptors.
+                    if (fieldInstance instanceof Attribute) return;
+
                     const toModelName = fieldInstance.toModelName;
                     const toModel = toModelName === 'this' ? model : this.get(toModelName);
 
@@ -184,19 +224,29 @@ const Schema = class Schema {
                             backwardManyToOneDescriptor(fieldName, model)
                         );
                         toModel.definedProperties[backwardsFieldName] = true;
-                        toModel.virtualFields[backwardsFieldName] = new ForeignKey(model.modelName, fieldName);
+                        toModel.virtualFields[backwardsFieldName] = new ForeignKey(model.modelName, {
+                            relatedName: fieldName,
+                            onDelete: fieldInstance.onDelete,
+                            default: fieldInstance.defaultValue,
+                        });
                     } else if (fieldInstance instanceof ManyToMany) {
                         // Forwards.
-                        const throughModelName = m2mName(model.modelName, fieldName);
+                        const throughModelName = fieldInstance.through || m2mName(model.modelName, fieldName);
                         const throughModel = this.get(throughModelName);
+                        const throughFields = resolveThroughFields(
+                            model, toModel, throughModel, fieldInstance, fieldName);
 
                         Object.defineProperty(
                             model.prototype,
                             fieldName,
-                            manyToManyDescriptor(model, toModel, throughModel, false)
+                            manyToManyDescriptor(model, toModel, throughModel, throughFields, false)
                         );
                         model.definedProperties[fieldName] = true;
-                        model.virtualFields[fieldName] = new ManyToMany(toModel.modelName, fieldName);
+                        model.virtualFields[fieldName] = new ManyToMany(toModel.modelName, {
+                            relatedName: fieldName,
+                            through: throughModelName,
+                            throughFields,
+                        });
 
                         // Backwards.
                         const backwardsFieldName = fieldInstance.relatedName
@@ -206,10 +256,14 @@ const Schema = class Schema {
                         Object.defineProperty(
                             toModel.prototype,
                             backwardsFieldName,
-                            manyToManyDescriptor(model, toModel, throughModel, true)
+                            manyToManyDescriptor(model, toModel, throughModel, throughFields, true)
                         );
                         toModel.definedProperties[backwardsFieldName] = true;
-                        toModel.virtualFields[backwardsFieldName] = new ManyToMany(model.modelName, fieldName);
+                        toModel.virtualFields[backwardsFieldName] = new ManyToMany(model.modelName, {
+                            relatedName: fieldName,
+                            through: throughModelName,
+                            throughFields: throughFields.slice().reverse(),
+                        });
                     } else if (fieldInstance instanceof OneToOne) {
                         // Forwards.
                         Object.defineProperty(
@@ -229,8 +283,12 @@ const Schema = class Schema {
                             backwardsFieldName,
                             backwardOneToOneDescriptor(fieldName, model)
                         );
-                        model.definedProperties[backwardsFieldName] = true;
-                        model.virtualFields[backwardsFieldName] = new OneToOne(model.modelName, fieldName);
+                        toModel.definedProperties[backwardsFieldName] = true;
+                        toModel.virtualFields[backwardsFieldName] = new OneToOne(model.modelName, {
+                            relatedName: fieldName,
+                            onDelete: fieldInstance.onDelete,
+                            default: fieldInstance.defaultValue,
+                        });
                     }
                 });
                 this._attachQuerySetMethods(model);
@@ -298,13 +356,35 @@ const Schema = class Schema {
      * }
      * ```
      *
+     * With the `history` option, the reducer keeps a history of the changes
+     * each action makes in the state, and handles the {@link module:history~undo}
+     * and {@link module:history~redo} actions. Only the changed objects are stored.
+     *
+     * With the `optimistic` option, the changes of actions tagged with
+     * {@link module:optimistic~optimistic} are kept pending until a
+     * {@link module:optimistic~commit} or {@link module:optimistic~revert} action.
+     *
+     * @param  {Object} [opts] - options
+     * @param  {Object} [opts.history] - enables the history. Can have the options
+     *                                   `limit`, the number of changes to keep (default `100`),
+     *                                   and `key`, the key of the history in the
+     *                                   state (default `'_history'`).
+     * @param  {Object} [opts.optimistic] - enables optimistic updates. Can have the option
+     *                                      `key`, the key of the pending actions in the
+     *                                      state (default `'_optimistic'`).
      * @return {Function} a reducer function that creates a new {@link Session} on
      *                    each action dispatch.
      */
-    reducer() {
-        return (state, action) => {
-            return this.from(state, action).reduce();
-        };
+    reducer(opts) {
+        const {history, optimistic} = opts || {};
+        const reducer = history
+            ? historyReducer(this, history === true ? {} : history)
+            : (state, action) => this.from(state, action).reduce();
+
+        if (optimistic) {
+            return optimisticReducer(reducer, optimistic === true ? {} : optimistic);
+        }
+        return reducer;
     }
 
     /**
@@ -1,8 +1,47 @@
 import partition from 'lodash/collection/partition';
+import ChangeSet from './ChangeSet';
+import {
+    CREATE,
+    BULK_CREATE,
+    UPSERT,
+    UPDATE,
+    DELETE,
+    ORDER,
+    REMAP_ID,
+} from './constants';
+
+// Returns the ids of the objects `update` may change.
+function touchedIds(modelClass, update) {
+    const {payload} = update;
+    switch (update.type) {
+    case CREATE:
+        return [modelClass.getIdOf(payload)];
+    case BULK_CREATE:
+        return payload.map(entity => modelClass.getIdOf(entity));
+    case UPSERT:
+        return payload.entries.map(entity => modelClass.getIdOf(entity));
+    case UPDATE:
+        return payload.idArr;
+    case DELETE:
+        return payload;
+    case REMAP_ID:
+        return [payload.fromId, payload.toId];
+    default:
+        return [];
+    }
+}
+
+function isSameList(a, b) {
+    return a.length === b.length && a.every((value, idx) => value === b[idx]);
+}
 
 /**
  * Session handles a single
  * action dispatch.
+ *
+ * The models are available as properties of the session, e.g. `session.Book`.
+ * They are subclasses of the registered models bound to the session, so that
+ * several sessions can be used at the same time.
  */
 const Session = class Session {
     /**
@@ -15,21 +54,33 @@ const Session = class Session {
      * @param  {Boolean} withMutations - whether the session should mutate data
      */
     constructor(models, state, action, withMutations) {
-        this.models = models;
         this.state = state;
         this.action = action;
         this.withMutations = !!withMutations;
 
         this.updates = [];
 
+        // The objects the recorded updates may change, with
+        // their values before the session, by model name.
+        this._touched = {};
+        this._nextState = undefined;
+
+        // The active savepoints, from the oldest to the newest.
+        this._savepoints = [];
+
         this._accessedModels = {};
 
-        models.forEach(modelClass => {
+        // The session hands out subclasses of the models connected
+        // to it, so that sessions don't share their connection and caches.
+        // The registered model classes are never connected.
+        this.models = models.map(modelClass => {
+            const SessionModel = class extends modelClass {};
+            SessionModel.connect(this);
+
             Object.defineProperty(this, modelClass.modelName, {
-                get: () => modelClass,
+                get: () => SessionModel,
             });
-
-            modelClass.connect(this);
+            return SessionModel;
         });
     }
 
@@ -49,6 +100,7 @@ const Session = class Session {
      *                            that contains the model name.
      */
     addUpdate(update) {
+        this._touch(update);
         if (this.withMutations) {
             const modelName = update.meta.name;
             const modelState = this.getState(modelName);
@@ -56,12 +108,101 @@ const Session = class Session {
                 ? this[modelName].getDefaultState()
                 : modelState;
 
-            this[modelName].updateReducer(state, update);
+            // Savepoints keep a copy of each branch from before
+            // its first write, so that it can be restored.
+            const savepoints = this._savepoints.filter(savepoint => !savepoint.branches.hasOwnProperty(modelName));
+            if (savepoints.length) {
+                const copy = this[modelName].getBackend().clone(state);
+                savepoints.forEach(savepoint => {
+                    savepoint.branches[modelName] = copy;
+                });
+            }
+
+            // Backends with immutable data structures
+            // can't update the state in place.
+            this.state[modelName] = this[modelName].updateReducer(state, update);
         } else {
             this.updates.push(update);
         }
     }
 
+    // Notes the objects `update` may change, and their values before
+    // the first update that touches them. In a session without mutations,
+    // the state is not changed until `reduce`, so it has the values.
+    _touch(update) {
+        const modelName = update.meta.name;
+        const modelClass = this[modelName];
+        const backend = modelClass.getBackend();
+        const branch = this.getState(modelName);
+        if (!this._touched.hasOwnProperty(modelName)) {
+            this._touched[modelName] = {objects: {}, order: undefined};
+        }
+        const touched = this._touched[modelName];
+
+        touchedIds(modelClass, update).forEach(id => {
+            if (!touched.objects.hasOwnProperty(id)) {
+                touched.objects[id] = {
+                    id,
+                    before: branch && backend.accessId(branch, id),
+                };
+            }
+        });
+        if (update.type === ORDER && !touched.order) {
+            touched.order = branch ? backend.accessIdList(branch).slice() : [];
+        }
+    }
+
+    // Returns the objects and the orders of the objects
+    // that differ between the state before the session and `nextState`.
+    _getChangeRecords(nextState) {
+        const objects = [];
+        const orders = [];
+        Object.keys(this._touched).forEach(modelName => {
+            const backend = this[modelName].getBackend();
+            const branch = nextState[modelName];
+            const touched = this._touched[modelName];
+
+            Object.keys(touched.objects).forEach(key => {
+                const {id, before} = touched.objects[key];
+                const after = backend.accessId(branch, id);
+                if (before !== after) {
+                    objects.push({modelName, id, before, after});
+                }
+            });
+            if (touched.order) {
+                const after = backend.accessIdList(branch).slice();
+                if (!isSameList(touched.order, after)) {
+                    orders.push({modelName, before: touched.order, after});
+                }
+            }
+        });
+        return {objects, orders};
+    }
+
+    /**
+     * Returns the objects this session created, updated and deleted.
+     * Call it after {@link Session#reduce}, or at any point in a session
+     * with mutations.
+     *
+     * ```javascript
+     * const session = schema.from(state, action);
+     * const nextState = session.reduce();
+     * const changes = session.getChanges();
+     * changes.Book.updated; // [{id: 0, fields: {name: {before: 'Hobbit', after: 'The Hobbit'}}}]
+     * changes.toJSONPatch(); // [{op: 'replace', path: '/Book/0/name', value: 'The Hobbit'}]
+     * ```
+     *
+     * @throws If the session has no mutations and hasn't been reduced.
+     * @return {ChangeSet} the changes
+     */
+    getChanges() {
+        const nextState = this.withMutations ? this.state : this._nextState;
+        if (!nextState) {
+            throw new Error('Session: Call reduce before getChanges.');
+        }
+        return new ChangeSet(this._getChangeRecords(nextState).objects);
+    }
+
     /**
      * Gets the recorded updates for `modelClass` and
      * deletes them from the Session instance updates list.
@@ -70,6 +211,14 @@ const Session = class Session {
      * @return {Object[]} A list of the user-recorded updates for `modelClass`.
      */
     getUpdatesFor(modelClass) {
+        // Savepoints count the updates recorded before them.
+        this._savepoints.forEach(savepoint => {
+            savepoint.updateCount = this.updates
+                .slice(0, savepoint.updateCount)
+                .filter(update => update.meta.name !== modelClass.modelName)
+                .length;
+        });
+
         const [updates, other] = partition(
             this.updates,
             'meta.name',
@@ -79,6 +228,108 @@ const Session = class Session {
         return updates;
     }
 
+    /**
+     * Marks the current point in the session. The changes recorded
+     * after it can be discarded with {@link Session#rollbackTo}.
+     * Savepoints can be nested.
+     *
+     * @return {Object} the savepoint, to pass to {@link Session#rollbackTo}
+     *                  or {@link Session#release}.
+     */
+    savepoint() {
+        const savepoint = {
+            updateCount: this.updates.length,
+            branches: {},
+        };
+        this._savepoints.push(savepoint);
+        return savepoint;
+    }
+
+    _indexOfSavepoint(savepoint) {
+        const idx = this._savepoints.indexOf(savepoint);
+        if (idx === -1) {
+            throw new Error('Session: The savepoint has been released or rolled back.');
+        }
+        return idx;
+    }
+
+    /**
+     * Discards the changes recorded after `savepoint`. With mutations,
+     * the state of the changed models is restored. The savepoints made after
+     * `savepoint` are released; `savepoint` itself stays active.
+     *
+     * @param  {Object} savepoint - a savepoint returned by {@link Session#savepoint}
+     * @throws If `savepoint` isn't active.
+     * @return {undefined}
+     */
+    rollbackTo(savepoint) {
+        this._savepoints = this._savepoints.slice(0, this._indexOfSavepoint(savepoint) + 1);
+
+        if (this.withMutations) {
+            Object.keys(savepoint.branches).forEach(modelName => {
+                // The copy is cloned again, so that it stays intact
+                // for rolling back to the savepoint again.
+                this.state[modelName] = this[modelName].getBackend().clone(savepoint.branches[modelName]);
+            });
+        } else {
+            this.updates = this.updates.slice(0, savepoint.updateCount);
+        }
+    }
+
+    /**
+     * Keeps the changes recorded after `savepoint` and releases it,
+     * along with the savepoints made after it.
+     *
+     * @param  {Object} savepoint - a savepoint returned by {@link Session#savepoint}
+     * @throws If `savepoint` isn't active.
+     * @return {undefined}
+     */
+    release(savepoint) {
+        this._savepoints = this._savepoints.slice(0, this._indexOfSavepoint(savepoint));
+    }
+
+    /**
+     * Calls `func` with this session. If `func` throws, the changes it
+     * recorded are discarded and the error is rethrown.
+     *
+     * ```javascript
+     * session.transaction(() => {
+     *     const book = Book.create({name: 'Mort'});
+     *     book.authors.add(authorId); // throws if the author doesn't exist
+     * });
+     * ```
+     *
+     * @param  {Function} func - the function to call
+     * @return {*} the return value of `func`
+     */
+    transaction(func) {
+        const savepoint = this.savepoint();
+        let result;
+        try {
+            result = func(this);
+        } catch (error) {
+            this.rollbackTo(savepoint);
+            this.release(savepoint);
+            throw error;
+        }
+        this.release(savepoint);
+        return result;
+    }
+
+    /**
+     * Records a change of the id of an object of the model `modelName`
+     * from `fromId` to `toId`, including the foreign keys and many-to-many
+     * rows pointing to it. See {@link Model.remapId}.
+     *
+     * @param  {string} modelName - the name of the model of the object
+     * @param  {*} fromId - the current id of the object, e.g. a temporary id
+     * @param  {*} toId - the new id of the object, e.g. assigned by a server
+     * @return {undefined}
+     */
+    remapId(modelName, fromId, toId) {
+        this[modelName].remapId(fromId, toId);
+    }
+
     getState(modelName) {
         if (this.state) {
             return this.state[modelName];
@@ -107,6 +358,7 @@ const Session = class Session {
         }, nextState);
 
         this.updates = [];
+        this._nextState = finalState;
         return finalState;
     }
 };
@@ -0,0 +1,121 @@
+import uniq from 'lodash/array/uniq';
+
+import {getPathValues} from './lookups';
+
+/**
+ * @module aggregates
+ */
+
+function isNil(value) {
+    return value === null || typeof value === 'undefined';
+}
+
+/**
+ * An aggregation over the objects of a {@link QuerySet}.
+ * Use the {@link module:aggregates.Sum}, {@link module:aggregates.Avg},
+ * {@link module:aggregates.Min}, {@link module:aggregates.Max} and
+ * {@link module:aggregates.Count} factories to create instances.
+ */
+const Aggregate = class Aggregate {
+    /**
+     * Creates a new Aggregate.
+     * @param  {string} [fieldName] - the field to aggregate. May span relations,
+     *                                like lookup keys. If omitted, the plain
+     *                                objects themselves are aggregated.
+     * @param  {Function} reduce - receives the list of non-null values and returns the result
+     * @param  {Object} [opts] - options
+     * @param  {Boolean} [opts.distinct=false] - whether duplicate values are aggregated once
+     */
+    constructor(fieldName, reduce, opts) {
+        this.fieldName = fieldName;
+        this.reduce = reduce;
+        this.distinct = !!(opts && opts.distinct);
+    }
+
+    /**
+     * Computes the aggregate for `entities`.
+     * @param  {Model} modelClass - the model class of `entities`
+     * @param  {Object[]} entities - the plain objects to aggregate
+     * @return {*} the result of the aggregation
+     */
+    compute(modelClass, entities) {
+        let values = entities;
+        if (typeof this.fieldName !== 'undefined') {
+            values = entities.reduce((acc, entity) => {
+                return acc.concat(getPathValues(modelClass, entity, this.fieldName));
+            }, []);
+        }
+
+        values = values.filter(value => !isNil(value));
+        if (this.distinct) {
+            values = uniq(values);
+        }
+        return this.reduce(values);
+    }
+};
+
+/**
+ * Returns the sum of the values of `fieldName`, or `0` if there are none.
+ * @param  {string} fieldName - the field to sum
+ * @return {Aggregate} the aggregate
+ */
+function Sum(fieldName) {
+    return new Aggregate(fieldName, values => values.reduce((sum, value) => sum + value, 0));
+}
+
+/**
+ * Returns the average of the values of `fieldName`, or `null` if there are none.
+ * @param  {string} fieldName - the field to average
+ * @return {Aggregate} the aggregate
+ */
+function Avg(fieldName) {
+    return new Aggregate(fieldName, values => {
+        if (!values.length) return null;
+        return values.reduce((sum, value) => sum + value, 0) / values.length;
+    });
+}
+
+/**
+ * Returns the smallest value of `fieldName`, or `null` if there are none.
+ * @param  {string} fieldName - the field to get the minimum of
+ * @return {Aggregate} the aggregate
+ */
+function Min(fieldName) {
+    return new Aggregate(fieldName, values => {
+        return values.reduce((min, value) => (min === null || value < min ? value : min), null);
+    });
+}
+
+/**
+ * Returns the largest value of `fieldName`, or `null` if there are none.
+ * @param  {string} fieldName - the field to get the maximum of
+ * @return {Aggregate} the aggregate
+ */
+function Max(fieldName) {
+    return new Aggregate(fieldName, values => {
+        return values.reduce((max, value) => (max === null || value > max ? value : max), null);
+    });
+}
+
+/**
+ * Returns the number of objects if `fieldName` is omitted. Otherwise returns
+ * the number of non-null values of `fieldName`, which for a relation name is
+ * the number of related objects.
+ *
+ * @param  {string} [fieldName] - the field to count
+ * @param  {Object} [opts] - options
+ * @param  {Boolean} [opts.distinct=false] - count each distinct value once
+ * @return {Aggregate} the aggregate
+ */
+function Count(fieldName, opts) {
+    return new Aggregate(fieldName, values => values.length, opts);
+}
+
+export {
+    Aggregate,
+    Sum,
+    Avg,
+    Min,
+    Max,
+    Count,
+};
@@ -1,4 +1,20 @@
 export const UPDATE = 'REDUX_ORM_UPDATE';
 export const DELETE = 'REDUX_ORM_DELETE';
 export const CREATE = 'REDUX_ORM_CREATE';
+export const BULK_CREATE = 'REDUX_ORM_BULK_CREATE';
+export const UPSERT = 'REDUX_ORM_UPSERT';
 export const ORDER = 'REDUX_ORM_ORDER';
+export const REMAP_ID = 'REDUX_ORM_REMAP_ID';
+export const UNDO = 'REDUX_ORM_UNDO';
+export const REDO = 'REDUX_ORM_REDO';
+export const COMMIT = 'REDUX_ORM_COMMIT';
+export const REVERT = 'REDUX_ORM_REVERT';
+
+// The group key of objects with no related values in QuerySet#groupBy.
+export const NO_RELATED = 'REDUX_ORM_NO_RELATED';
+
+export const CASCADE = 'CASCADE';
+export const SET_NULL = 'SET_NULL';
+export const PROTECT = 'PROTECT';
+export const SET_DEFAULT = 'SET_DEFAULT';
+export const DO_NOTHING = 'DO_NOTHING';
@@ -1,9 +1,15 @@
-import UPDATE from './constants';
-import {
-    m2mFromFieldName,
-    m2mToFieldName,
-    normalizeEntity,
-} from './utils';
+import isPlainObject from 'lodash/lang/isPlainObject';
+
+import {UPDATE} from './constants';
+import {normalizeEntity, isSoftDeleted} from './utils';
+import {lookupPredicate} from './lookups';
+
+// Returns the class of `modelClass` bound to the
+// session of `instance`, see {@link Session}.
+function sessionModel(instance, modelClass) {
+    const session = instance.getClass().session;
+    return session ? session[modelClass.modelName] : modelClass;
+}
 
 // Forwards side a Foreign Key: returns one object.
 // Also works as forwardsOneToOneDescriptor.
@@ -11,19 +17,20 @@ function forwardManyToOneDescriptor(fieldName, declaredToModel) {
     return {
         get() {
             const toId = this._fields[fieldName];
-            if (typeof toId !== 'undefined' && toId !== null) {
-                return declaredToModel.withId(toId);
+            if (typeof toId === 'undefined' || toId === null) {
+                return undefined;
             }
-            return undefined;
+            const toModel = sessionModel(this, declaredToModel);
+            const related = toModel.withId(toId);
+            // Soft deleted objects are hidden, like from `get` and `filter`.
+            if (toModel.softDelete && isSoftDeleted(related._fields)) {
+                return undefined;
+            }
+            return related;
         },
         set(value) {
             const thisId = this.getId();
-            let toId;
-            if (value instanceof declaredToModel) {
-                toId = value.getId();
-            } else {
-                toId = value;
-            }
+            const toId = normalizeEntity(value, sessionModel(this, declaredToModel));
 
             this.getClass().addUpdate({
                 type: UPDATE,
@@ -46,7 +53,7 @@ function backwardOneToOneDescriptor(declaredFieldName, declaredFromModel) {
             const thisId = this.getId();
             let found;
             try {
-                found = declaredFromModel.get({[declaredFieldName]: thisId});
+                found = sessionModel(this, declaredFromModel).get({[declaredFieldName]: thisId});
             } catch (e) {
                 return null;
             }
@@ -63,7 +70,7 @@ function backwardManyToOneDescriptor(declaredFieldName, declaredFromModel) {
     return {
         get() {
             const thisId = this.getId();
-            return declaredFromModel.filter({[declaredFieldName]: thisId});
+            return sessionModel(this, declaredFromModel).filter({[declaredFieldName]: thisId});
         },
         set() {
             throw new Error('Can\'t mutate a reverse many-to-one relation.');
@@ -71,14 +78,26 @@ function backwardManyToOneDescriptor(declaredFieldName, declaredFromModel) {
     };
 }
 
+// Splits the arguments of the related QuerySet methods to
+// entities and a trailing, optional object of through model values.
+function splitThroughValues(args) {
+    const last = args[args.length - 1];
+    if (isPlainObject(last)) {
+        return [args.slice(0, -1), last];
+    }
+    return [args, {}];
+}
+
 // Both sides of Many to Many, use the reverse flag.
-function manyToManyDescriptor(declaredFromModel, declaredToModel, throughModel, reverse) {
+// `throughFields` holds the names of the foreign keys in the
+// through model pointing to the declaring and the related model.
+function manyToManyDescriptor(declaredFromModel, declaredToModel, declaredThroughModel, throughFields, reverse) {
     return {
         get() {
             const thisId = this.getId();
+            const throughModel = sessionModel(this, declaredThroughModel);
 
-            const fromFieldName = m2mFromFieldName(declaredFromModel.modelName);
-            const toFieldName = m2mToFieldName(declaredToModel.modelName);
+            const [fromFieldName, toFieldName] = throughFields;
 
             const lookupObj = {};
             if (!reverse) {
@@ -90,30 +109,40 @@ function manyToManyDescriptor(declaredFromModel, declaredToModel, throughModel,
             const throughQs = throughModel.filter(lookupObj);
             const toIds = throughQs.plain.map(obj => obj[reverse ? fromFieldName : toFieldName]);
 
-            const qsFromModel = reverse ? declaredFromModel : declaredToModel;
-            const qs = qsFromModel.getQuerySetFromIds(toIds);
+            const qsFromModel = sessionModel(this, reverse ? declaredFromModel : declaredToModel);
+            // Soft deleted objects keep their rows in the through
+            // model, so that they come back when restored.
+            const qs = qsFromModel._withoutDeleted(qsFromModel.getQuerySetFromIds(toIds));
+            const normalize = entity => normalizeEntity(entity, qsFromModel);
 
+            // The last argument may be an object of values
+            // for the extra fields of the through model.
             qs.add = function add(...args) {
-                const ids = args.map(normalizeEntity);
+                const [entities, throughValues] = splitThroughValues(args);
+                const ids = entities.map(normalize);
 
-                ids.forEach(id => {
-                    throughModel.create({
-                        [fromFieldName]: thisId,
-                        [toFieldName]: id,
-                    });
-                });
+                throughModel.bulkCreate(ids.map(id => Object.assign({}, throughValues, {
+                    [fromFieldName]: reverse ? id : thisId,
+                    [toFieldName]: reverse ? thisId : id,
+                })));
             };
 
-            qs.clear = function clear() {
-                throughQs.delete();
+            // If an object of through model values is supplied,
+            // only the rows matching them are removed.
+            qs.clear = function clear(throughLookup) {
+                const toClear = throughLookup ? throughQs.filter(throughLookup) : throughQs;
+                toClear.delete();
             };
 
-            qs.remove = function remove(...entities) {
-                const idsToRemove = entities.map(normalizeEntity);
+            qs.remove = function remove(...args) {
+                const [entities, throughLookup] = splitThroughValues(args);
+                const idsToRemove = entities.map(normalize);
 
                 const attrInIdsToRemove = reverse ? fromFieldName : toFieldName;
+                const matchesLookup = lookupPredicate(throughLookup, throughModel);
                 const entitiesToDelete = throughQs.plain.filter(through => {
-                    return idsToRemove.includes(through[attrInIdsToRemove]);
+                    return idsToRemove.includes(through[attrInIdsToRemove]) &&
+                        matchesLookup(through);
                 });
 
                 entitiesToDelete.delete();
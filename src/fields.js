@@ -1,7 +1,70 @@
+import isString from 'lodash/lang/isString';
+import isNumber from 'lodash/lang/isNumber';
+import isBoolean from 'lodash/lang/isBoolean';
+import isDate from 'lodash/lang/isDate';
+import isArray from 'lodash/lang/isArray';
+import isPlainObject from 'lodash/lang/isPlainObject';
+
+import {
+    CASCADE,
+    SET_NULL,
+    PROTECT,
+    SET_DEFAULT,
+    DO_NOTHING,
+} from './constants';
+
+const onDeletePolicies = [CASCADE, SET_NULL, PROTECT, SET_DEFAULT, DO_NOTHING];
+
+/**
+ * A relational field declaration.
+ */
 const Field = class Field {
-    constructor(toModelName, relatedName) {
+    /**
+     * Creates a new relational field.
+     * @param  {string} toModelName - the name of the related model
+     * @param  {string|Object} [opts] - the related name, or an options object
+     * @param  {string} [opts.relatedName] - the name of the reverse relation
+     * @param  {string} [opts.onDelete=SET_NULL] - what to do to the referencing objects
+     *                                             when the referenced object is deleted.
+     *                                             One of `CASCADE`, `SET_NULL`, `PROTECT`,
+     *                                             `SET_DEFAULT` or `DO_NOTHING`.
+     * @param  {*} [opts.default] - the value to use with `SET_DEFAULT`. If a function
+     *                              is supplied, it is called without arguments.
+     * @param  {string} [opts.through] - many-to-many only: the name of a registered model
+     *                                   to use as the through model.
+     * @param  {string[]} [opts.throughFields] - many-to-many only: the names of the foreign
+     *                                           keys in the through model that point to the
+     *                                           declaring model and the related model.
+     *                                           Inferred from the through model fields if omitted.
+     */
+    constructor(toModelName, opts) {
+        const fieldOpts = isPlainObject(opts) ? opts : {relatedName: opts};
+        const onDelete = fieldOpts.onDelete || SET_NULL;
+
+        if (!onDeletePolicies.includes(onDelete)) {
+            throw new Error(`Unknown onDelete policy: ${onDelete}`);
+        }
+        if (onDelete === SET_DEFAULT && !fieldOpts.hasOwnProperty('default')) {
+            throw new Error('A field with the SET_DEFAULT onDelete policy must declare a default value.');
+        }
+
         this.toModelName = toModelName;
-        this.relatedName = relatedName;
+        this.relatedName = fieldOpts.relatedName;
+        this.onDelete = onDelete;
+        this.defaultValue = fieldOpts.default;
+        this.through = fieldOpts.through;
+        this.throughFields = fieldOpts.throughFields;
+    }
+
+    /**
+     * Returns the value to assign to a referencing object
+     * with the `SET_DEFAULT` policy.
+     * @return {*} the default value
+     */
+    getDefault() {
+        return typeof this.defaultValue === 'function'
+            ? this.defaultValue()
+            : this.defaultValue;
     }
 };
 
@@ -9,8 +72,91 @@ const ForeignKey = class ForeignKey extends Field {};
 const ManyToMany = class ManyToMany extends Field {};
 const OneToOne = class OneToOne extends Field {};
 
+const typeCheckers = {
+    string: isString,
+    number: value => isNumber(value) && !isNaN(value),
+    boolean: isBoolean,
+    date: value => isDate(value) && !isNaN(value.getTime()),
+    array: isArray,
+    object: isPlainObject,
+};
+
+/**
+ * A non-relational field declaration. Describes the type of the
+ * attribute value, a default value to use when an entity is
+ * created without the attribute and whether the value is required.
+ */
+const Attribute = class Attribute {
+    /**
+     * Creates a new Attribute field.
+     * @param  {Object} [opts] - field options
+     * @param  {string} [opts.type] - one of `string`, `number`, `boolean`,
+     *                                `date`, `enum`, `array` or `object`.
+     *                                If omitted, any value is accepted.
+     * @param  {*} [opts.default] - the default value. If a function is supplied,
+     *                              it is called without arguments on each create.
+     * @param  {Boolean} [opts.required=false] - whether `null` and `undefined` are rejected.
+     * @param  {Array} [opts.choices] - the accepted values for the `enum` type.
+     * @param  {Boolean} [opts.unique=false] - whether two objects may not have the same value.
+     *                                         `null` and `undefined` values are not checked.
+     */
+    constructor(opts) {
+        const {type, required, choices, unique} = opts || {};
+
+        if (typeof type !== 'undefined' && type !== 'enum' && !typeCheckers.hasOwnProperty(type)) {
+            throw new Error(`Unknown attribute type: ${type}`);
+        }
+        if (type === 'enum' && !isArray(choices)) {
+            throw new Error('An enum attribute must declare its choices in an array.');
+        }
+
+        this.type = type;
+        this.required = !!required;
+        this.unique = !!unique;
+        this.choices = choices;
+        this.hasDefault = !!opts && opts.hasOwnProperty('default');
+        this.defaultValue = this.hasDefault ? opts.default : undefined;
+    }
+
+    /**
+     * Returns the default value for this field.
+     * @return {*} the default value
+     */
+    getDefault() {
+        return typeof this.defaultValue === 'function'
+            ? this.defaultValue()
+            : this.defaultValue;
+    }
+
+    /**
+     * Checks `value` against the field declaration.
+     *
+     * @param  {*} value - the value to check
+     * @param  {string} fieldName - the name of the field, used in the error message
+     * @throws If `value` is missing but required, or not of the declared type.
+     * @return {undefined}
+     */
+    validate(value, fieldName) {
+        if (value === null || typeof value === 'undefined') {
+            if (this.required) {
+                throw new Error(`Field "${fieldName}" is required.`);
+            }
+            return;
+        }
+
+        if (this.type === 'enum') {
+            if (!this.choices.includes(value)) {
+                throw new Error(`Field "${fieldName}" must be one of ${this.choices.join(', ')}, got ${value}.`);
+            }
+        } else if (typeof this.type !== 'undefined' && !typeCheckers[this.type](value)) {
+            throw new Error(`Field "${fieldName}" must be of type ${this.type}, got ${value}.`);
+        }
+    }
+};
+
 export {
     ForeignKey,
     ManyToMany,
     OneToOne,
+    Attribute,
 };
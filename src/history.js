@@ -0,0 +1,174 @@
+import findLastIndex from 'lodash/array/findLastIndex';
+import partition from 'lodash/collection/partition';
+import uniq from 'lodash/array/uniq';
+import {
+    CREATE,
+    UPDATE,
+    DELETE,
+    ORDER,
+    UNDO,
+    REDO,
+} from './constants';
+
+/**
+ * @module history
+ */
+
+/**
+ * Returns an action that reverts the latest change recorded
+ * in the history, see {@link Schema#reducer}.
+ *
+ * @param  {Object} [scope] - limits the undo to a model or an object
+ * @param  {string} [scope.modelName] - the name of the model to undo the latest change of
+ * @param  {*} [scope.id] - the id of the object to undo the latest change of. Requires `modelName`.
+ * @return {Object} the action to dispatch
+ */
+function undo(scope) {
+    return {type: UNDO, payload: scope};
+}
+
+/**
+ * Returns an action that applies the latest undone change again.
+ *
+ * @param  {Object} [scope] - limits the redo to a model or an object, like in {@link module:history~undo}
+ * @return {Object} the action to dispatch
+ */
+function redo(scope) {
+    return {type: REDO, payload: scope};
+}
+
+// Returns the history entry for the changes `session` made
+// to get from its state to `nextState`.
+function createEntry(session, nextState) {
+    const {objects, orders} = session._getChangeRecords(nextState);
+    return {changes: objects, orders};
+}
+
+function isEmpty(entry) {
+    return !entry.changes.length && !entry.orders.length;
+}
+
+// Splits `entry` to the parts in `scope` and the rest.
+function splitEntry(session, entry, scope) {
+    const inScope = change => {
+        if (!scope || !scope.modelName) return true;
+        if (change.modelName !== scope.modelName) return false;
+        if (!scope.hasOwnProperty('id')) return true;
+        return change.hasOwnProperty('id') &&
+            change.id === session[scope.modelName].normalizeId(scope.id);
+    };
+    const [changes, otherChanges] = partition(entry.changes, inScope);
+    const [orders, otherOrders] = partition(entry.orders, inScope);
+    return [{changes, orders}, {changes: otherChanges, orders: otherOrders}];
+}
+
+// Returns the state of `session` with the objects
+// and orders in `entry` set to their `target` values.
+function applyEntry(session, entry, target) {
+    entry.changes.forEach(change => {
+        const modelClass = session[change.modelName];
+        const value = change[target];
+        const exists = typeof modelClass.accessId(change.id) !== 'undefined';
+        if (typeof value === 'undefined') {
+            if (exists) {
+                modelClass.addUpdate({type: DELETE, payload: [change.id]});
+            }
+        } else if (exists) {
+            modelClass.addUpdate({
+                type: UPDATE,
+                payload: {idArr: [change.id], updater: () => value},
+            });
+        } else {
+            modelClass.addUpdate({type: CREATE, payload: value});
+        }
+    });
+
+    entry.orders.forEach(order => {
+        const modelClass = session[order.modelName];
+        const position = {};
+        order[target].forEach((id, idx) => {
+            position[id] = idx;
+        });
+        modelClass.addUpdate({
+            type: ORDER,
+            payload: entity => position[modelClass.getIdOf(entity)],
+        });
+    });
+
+    const nextState = Object.assign({}, session.state);
+    uniq(session.updates.map(update => update.meta.name)).forEach(modelName => {
+        nextState[modelName] = session[modelName].getNextState();
+    });
+    return nextState;
+}
+
+// Moves the latest part of the `from` list of the history in `scope`
+// to the `to` list, and applies its `target` values to `state`.
+function travel(schema, state, key, scope, from, to, target) {
+    const session = schema.from(state);
+    const history = state[key];
+    const idx = findLastIndex(history[from], entry => !isEmpty(splitEntry(session, entry, scope)[0]));
+    if (idx === -1) {
+        return state;
+    }
+
+    const [moved, rest] = splitEntry(session, history[from][idx], scope);
+    const entries = history[from].slice();
+    if (isEmpty(rest)) {
+        entries.splice(idx, 1);
+    } else {
+        entries[idx] = rest;
+    }
+
+    const nextState = applyEntry(session, moved, target);
+    nextState[key] = {
+        [from]: entries,
+        [to]: history[to].concat(moved),
+    };
+    return nextState;
+}
+
+/**
+ * Returns a reducer that keeps a history of the changes, like
+ * the one returned by {@link Schema#reducer} with the `history` option.
+ *
+ * @param  {Schema} schema - the schema to reduce with
+ * @param  {Object} opts - options
+ * @param  {number} [opts.limit=100] - the number of changes to keep
+ * @param  {string} [opts.key='_history'] - the key of the history in the state
+ * @return {Function} a reducer function
+ */
+function historyReducer(schema, opts) {
+    const {limit, key} = Object.assign({limit: 100, key: '_history'}, opts);
+
+    return (state, action) => {
+        const history = state && state[key];
+
+        if (history && action.type === UNDO) {
+            return travel(schema, state, key, action.payload, 'past', 'future', 'before');
+        }
+        if (history && action.type === REDO) {
+            return travel(schema, state, key, action.payload, 'future', 'past', 'after');
+        }
+
+        const session = schema.from(state, action);
+        const nextState = session.reduce();
+
+        const entry = createEntry(session, nextState);
+        if (isEmpty(entry)) {
+            nextState[key] = history || {past: [], future: []};
+        } else {
+            nextState[key] = {
+                past: (history ? history.past : []).concat(entry).slice(-limit),
+                future: [],
+            };
+        }
+        return nextState;
+    };
+}
+
+export {
+    undo,
+    redo,
+    historyReducer,
+};
@@ -0,0 +1,130 @@
+/**
+ * @module idGenerators
+ */
+
+const ULID_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+function randomInt(max) {
+    return Math.floor(Math.random() * max);
+}
+
+// Returns the smallest and the largest numeric id of `modelClass`,
+// including the ids created in the current session.
+function numericIdRange(modelClass) {
+    const cache = modelClass._sessionCache;
+    if (!cache.idRange) {
+        cache.idRange = modelClass.accessIds().reduce(([min, max], id) => {
+            if (typeof id !== 'number') return [min, max];
+            return [Math.min(min, id), Math.max(max, id)];
+        }, [0, -1]);
+    }
+    return cache.idRange;
+}
+
+/**
+ * Notes the id of a new object of `modelClass`, so that numeric
+ * generated ids don't collide with it. The generators don't note
+ * the ids they return; creating the object does.
+ *
+ * @param  {Model} modelClass - the model class of the object
+ * @param  {*} id - the id of the object
+ * @return {undefined}
+ */
+function observeId(modelClass, id) {
+    if (typeof id === 'number') {
+        const range = numericIdRange(modelClass);
+        range[0] = Math.min(range[0], id);
+        range[1] = Math.max(range[1], id);
+    }
+}
+
+/**
+ * Returns the largest numeric id plus one, starting from `0`.
+ * Other than numeric ids are ignored.
+ *
+ * @param  {Model} modelClass - the model class to generate an id for
+ * @return {number} the new id
+ */
+function autoIncrement(modelClass) {
+    return numericIdRange(modelClass)[1] + 1;
+}
+
+/**
+ * Returns the smallest numeric id minus one, starting from `-1`.
+ * Useful as temporary ids for objects that will get their
+ * permanent id from a server, see {@link Session#remapId}.
+ *
+ * @param  {Model} modelClass - the model class to generate an id for
+ * @return {number} the new id
+ */
+function temporary(modelClass) {
+    return numericIdRange(modelClass)[0] - 1;
+}
+
+/**
+ * Returns a random version 4 UUID, e.g. `'110ec58a-a0f2-4ac4-8393-c866d813b8d1'`.
+ * @return {string} the new id
+ */
+function uuid() {
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, char => {
+        const value = char === 'x' ? randomInt(16) : 8 + randomInt(4);
+        return value.toString(16);
+    });
+}
+
+/**
+ * Returns a ULID, a 26 character string of the current time and
+ * random data, e.g. `'01ARZ3NDEKTSV4RRFFQ69G5FAV'`. ULIDs created in
+ * different milliseconds sort in the order they were created.
+ *
+ * @return {string} the new id
+ */
+function ulid() {
+    let time = Date.now();
+    let timePart = '';
+    for (let i = 0; i < 10; i++) {
+        timePart = ULID_ALPHABET[time % 32] + timePart;
+        time = Math.floor(time / 32);
+    }
+
+    let randomPart = '';
+    for (let i = 0; i < 16; i++) {
+        randomPart += ULID_ALPHABET[randomInt(32)];
+    }
+    return timePart + randomPart;
+}
+
+const generators = {
+    autoIncrement,
+    temporary,
+    uuid,
+    ulid,
+};
+
+/**
+ * Returns the id generator function of `modelClass`, declared in its
+ * `idGenerator` property as the name of a built-in generator or a function.
+ *
+ * @param  {Model} modelClass - the model class
+ * @throws If `idGenerator` is not a function or the name of a built-in generator.
+ * @return {Function} a function that takes the model class and returns a new id.
+ */
+function getIdGenerator(modelClass) {
+    const {idGenerator} = modelClass;
+    if (typeof idGenerator === 'function') {
+        return idGenerator;
+    }
+    if (!generators.hasOwnProperty(idGenerator)) {
+        throw new Error(`${modelClass.modelName}: Unknown id generator: ${idGenerator}`);
+    }
+    return generators[idGenerator];
+}
+
+export {
+    autoIncrement,
+    temporary,
+    uuid,
+    ulid,
+    observeId,
+    getIdGenerator,
+};
@@ -3,32 +3,93 @@ import Backend from './Backend';
 import Model from './Model';
 import Schema from './Schema';
 import Session from './Session';
-import {ForeignKey, ManyToMany, OneToOne} from './fields';
+import ChangeSet from './ChangeSet';
+import GroupedQuerySet from './GroupedQuerySet';
+import {Q} from './lookups';
+import {
+    Aggregate,
+    Sum,
+    Avg,
+    Min,
+    Max,
+    Count,
+} from './aggregates';
+import {ForeignKey, ManyToMany, OneToOne, Attribute} from './fields';
+import {
+    autoIncrement,
+    temporary,
+    uuid,
+    ulid,
+} from './idGenerators';
+import {undo, redo} from './history';
+import {optimistic, commit, revert} from './optimistic';
+import {
+    CASCADE,
+    SET_NULL,
+    PROTECT,
+    SET_DEFAULT,
+    DO_NOTHING,
+    NO_RELATED,
+} from './constants';
 
-function fk(relatedModelName) {
-    return new ForeignKey(relatedModelName);
+function fk(relatedModelName, opts) {
+    return new ForeignKey(relatedModelName, opts);
 }
 
-function many(relatedModelName) {
-    return new ManyToMany(relatedModelName);
+function many(relatedModelName, opts) {
+    return new ManyToMany(relatedModelName, opts);
 }
 
-function oneToOne(relatedModelName) {
-    return new OneToOne(relatedModelName);
+function oneToOne(relatedModelName, opts) {
+    return new OneToOne(relatedModelName, opts);
 }
 
+function attr(opts) {
+    return new Attribute(opts);
+}
+
+['string', 'number', 'boolean', 'date', 'enum', 'array', 'object'].forEach(type => {
+    attr[type] = opts => new Attribute(Object.assign({}, opts, {type}));
+});
+
 export {
     QuerySet,
+    GroupedQuerySet,
     Backend,
     Model,
     Schema,
     Session,
+    ChangeSet,
+    Q,
+    Aggregate,
+    Sum,
+    Avg,
+    Min,
+    Max,
+    Count,
     ForeignKey,
     ManyToMany,
     OneToOne,
+    Attribute,
     fk,
     many,
     oneToOne,
+    attr,
+    autoIncrement,
+    temporary,
+    uuid,
+    ulid,
+    undo,
+    redo,
+    optimistic,
+    commit,
+    revert,
+    CASCADE,
+    SET_NULL,
+    PROTECT,
+    SET_DEFAULT,
+    DO_NOTHING,
+    NO_RELATED,
 };
 
 export default Model;
@@ -0,0 +1,366 @@
+import isMatch from 'lodash/lang/isMatch';
+import isArray from 'lodash/lang/isArray';
+import isRegExp from 'lodash/lang/isRegExp';
+import isString from 'lodash/lang/isString';
+
+import {
+    ForeignKey,
+    OneToOne,
+    Attribute,
+} from './fields';
+
+/**
+ * @module lookups
+ */
+
+/**
+ * The separator between field names and the operator
+ * in lookup keys, e.g. `age__gt`.
+ * @type {string}
+ */
+const LOOKUP_SEPARATOR = '__';
+
+function isNil(value) {
+    return value === null || typeof value === 'undefined';
+}
+
+function lower(value) {
+    return String(value).toLowerCase();
+}
+
+function toRegExp(pattern, flags) {
+    return isRegExp(pattern) ? new RegExp(pattern.source, flags) : new RegExp(pattern, flags);
+}
+
+/**
+ * The lookup operators. Each operator receives the value
+ * of the field in the entity and the value supplied in
+ * the lookup, and returns `true` if the entity matches.
+ *
+ * `exact` is used when the lookup key has no operator.
+ */
+const operators = {
+    exact: (actual, expected) => isMatch({value: actual}, {value: expected}),
+    iexact: (actual, expected) => !isNil(actual) && lower(actual) === lower(expected),
+    gt: (actual, expected) => !isNil(actual) && actual > expected,
+    gte: (actual, expected) => !isNil(actual) && actual >= expected,
+    lt: (actual, expected) => !isNil(actual) && actual < expected,
+    lte: (actual, expected) => !isNil(actual) && actual <= expected,
+    in: (actual, expected) => expected.includes(actual),
+    range: (actual, [low, high]) => !isNil(actual) && actual >= low && actual <= high,
+    isnull: (actual, expected) => isNil(actual) === !!expected,
+    contains: (actual, expected) => {
+        if (isArray(actual)) return actual.includes(expected);
+        return isString(actual) && actual.includes(expected);
+    },
+    icontains: (actual, expected) => isString(actual) && lower(actual).includes(lower(expected)),
+    startswith: (actual, expected) => isString(actual) && actual.startsWith(expected),
+    istartswith: (actual, expected) => isString(actual) && lower(actual).startsWith(lower(expected)),
+    endswith: (actual, expected) => isString(actual) && actual.endsWith(expected),
+    iendswith: (actual, expected) => isString(actual) && lower(actual).endsWith(lower(expected)),
+    regex: (actual, expected) => isString(actual) && toRegExp(expected).test(actual),
+    iregex: (actual, expected) => isString(actual) && toRegExp(expected, 'i').test(actual),
+};
+
+/**
+ * Splits a lookup key to the field name and the operator.
+ * If the last part of the key is not a known operator,
+ * the whole key is the field name and the operator is `exact`.
+ *
+ * Example: `'age__gt'` => `{fieldName: 'age', operator: 'gt'}`
+ *
+ * @param  {string} key - the lookup key
+ * @return {Object} an object with keys `fieldName` and `operator`
+ */
+function parseLookupKey(key) {
+    const idx = key.lastIndexOf(LOOKUP_SEPARATOR);
+    if (idx !== -1) {
+        const operator = key.slice(idx + LOOKUP_SEPARATOR.length);
+        if (operators.hasOwnProperty(operator)) {
+            return {fieldName: key.slice(0, idx), operator};
+        }
+    }
+    return {fieldName: key, operator: 'exact'};
+}
+
+// Checks if `relationName` is a foreign key or a one-to-one
+// declared on `modelClass`, holding the related id.
+function isForwardRelation(modelClass, relationName) {
+    const field = (modelClass.fields || {})[relationName];
+    return field instanceof ForeignKey || field instanceof OneToOne;
+}
+
+function getRelationField(modelClass, relationName) {
+    const field = (modelClass.fields || {})[relationName] || modelClass.virtualFields[relationName];
+    if (typeof field === 'undefined' || field instanceof Attribute) {
+        return undefined;
+    }
+    return field;
+}
+
+// Returns the model class `relationName` of `modelClass` relates to,
+// or `undefined` if `relationName` is not a relation.
+function getRelatedModel(modelClass, relationName) {
+    const field = getRelationField(modelClass, relationName);
+    if (typeof field === 'undefined') {
+        return undefined;
+    }
+    return field.toModelName === 'this'
+        ? modelClass
+        : modelClass.session[field.toModelName];
+}
+
+// Returns the plain objects related to `entity`
+// through the relation `relationName` of `modelClass`.
+function relatedEntities(modelClass, relatedModel, entity, relationName) {
+    if (isForwardRelation(modelClass, relationName)) {
+        const toId = entity[relationName];
+        const related = isNil(toId) ? undefined : relatedModel.accessId(toId);
+        return related ? [related] : [];
+    }
+
+    // Reverse and many-to-many relations are
+    // resolved with the instance descriptors.
+    const ModelClass = modelClass;
+    const related = new ModelClass(entity)[relationName];
+    if (!related) {
+        return [];
+    }
+    if (related instanceof relatedModel) {
+        return [relatedModel.accessId(related.getId())];
+    }
+    return related.idArr.map(id => relatedModel.accessId(id));
+}
+
+// Checks if `entity` matches a single lookup. `path` is the list
+// of relation names to follow, ending with the field name to check.
+// A lookup matches if any of the related objects match.
+function matchPath(modelClass, entity, path, operator, value) {
+    const [relationName, ...rest] = path;
+    const relatedModel = modelClass && getRelatedModel(modelClass, relationName);
+
+    if (!relatedModel ||
+            (!rest.length && isForwardRelation(modelClass, relationName))) {
+        // A field of this entity.
+        return operators[operator](entity[path.join(LOOKUP_SEPARATOR)], value);
+    }
+
+    const related = relatedEntities(modelClass, relatedModel, entity, relationName);
+    if (rest.length) {
+        return related.some(relatedEntity => {
+            return matchPath(relatedModel, relatedEntity, rest, operator, value);
+        });
+    }
+
+    // Reverse and many-to-many relations are
+    // compared with the related ids.
+    if (operator === 'isnull') {
+        return !related.length === !!value;
+    }
+    return related.some(relatedEntity => {
+        return operators[operator](relatedModel.getIdOf(relatedEntity), value);
+    });
+}
+
+function pathValues(modelClass, entity, path) {
+    const [relationName, ...rest] = path;
+    const relatedModel = modelClass && getRelatedModel(modelClass, relationName);
+
+    if (!relatedModel ||
+            (!rest.length && isForwardRelation(modelClass, relationName))) {
+        return [entity[path.join(LOOKUP_SEPARATOR)]];
+    }
+
+    const related = relatedEntities(modelClass, relatedModel, entity, relationName);
+    if (!rest.length) {
+        return related.map(relatedEntity => relatedModel.getIdOf(relatedEntity));
+    }
+    return related.reduce((values, relatedEntity) => {
+        return values.concat(pathValues(relatedModel, relatedEntity, rest));
+    }, []);
+}
+
+/**
+ * Returns the values at `fieldName` for the plain object `entity`.
+ * Like lookup keys, `fieldName` can span relations, e.g. `books__pages`.
+ * A relation name at the end of the path resolves to the related ids.
+ *
+ * @param  {Model} modelClass - the model class of `entity`
+ * @param  {Object} entity - the plain object
+ * @param  {string} fieldName - the field name or the relation path
+ * @return {Array} the values; a single value for a field of `entity`,
+ *                 any number of values for a relation path.
+ */
+function getPathValues(modelClass, entity, fieldName) {
+    return pathValues(modelClass, entity, fieldName.split(LOOKUP_SEPARATOR));
+}
+
+/**
+ * Returns a predicate function that checks if a plain
+ * object matches all the lookups in `lookupObj`.
+ *
+ * If `modelClass` is supplied, field names can span relations
+ * by separating the relation names with a double underscore,
+ * e.g. `{author__name: 'Tolkien'}` or `{books__genre__name: 'Fantasy'}`.
+ * Forward and reverse foreign keys, one-to-ones and many-to-many
+ * relations can be followed. When a relation leads to multiple objects,
+ * the lookup matches if any of them match.
+ *
+ * @param  {Object|Q} lookupObj - an object of lookup keys and values,
+ *                                e.g. `{name__icontains: 'tom', age__gte: 18}`,
+ *                                or a {@link Q} instance.
+ * @param  {Model} [modelClass] - the model class of the objects to check
+ * @return {Function} a function that takes a plain object and returns `true`
+ *                    if it matches `lookupObj`, else `false`.
+ */
+function lookupPredicate(lookupObj, modelClass) {
+    // A Q instance.
+    if (typeof lookupObj.toPredicate === 'function') {
+        return lookupObj.toPredicate(modelClass);
+    }
+
+    const lookups = Object.keys(lookupObj).map(key => {
+        const {fieldName, operator} = parseLookupKey(key);
+        return {
+            path: fieldName.split(LOOKUP_SEPARATOR),
+            operator,
+            value: lookupObj[key],
+        };
+    });
+
+    return entity => lookups.every(({path, operator, value}) => {
+        return matchPath(modelClass, entity, path, operator, value);
+    });
+}
+
+const AND = 'AND';
+const OR = 'OR';
+
+function lookupToString(lookupObj) {
+    return Object.keys(lookupObj).map(key => `${key}=${lookupObj[key]}`).join(', ');
+}
+
+/**
+ * A composable query. Combines lookup objects and other
+ * {@link Q} instances with `AND` and `OR`, and negates them with `NOT`.
+ * {@link QuerySet#filter}, {@link QuerySet#exclude} and {@link Model.get}
+ * accept a {@link Q} instance in place of a lookup object.
+ *
+ * The query is held in the `connector`, `children` and `negated`
+ * properties, so it can be inspected.
+ *
+ * ```javascript
+ * const query = Q.or({status: 'open'}, {assignee: me.getId()})
+ *     .and(Q.not({archived: true}));
+ * Ticket.filter(query);
+ * ```
+ */
+const Q = class Q {
+    /**
+     * Creates a new Q instance.
+     * @param  {Object|Q} [lookupObj] - a lookup object, as in {@link QuerySet#filter}
+     * @param  {string} [connector='AND'] - `AND` or `OR`, used to combine the children
+     * @param  {Array} [children] - the lookup objects or {@link Q} instances to combine.
+     *                              Overrides `lookupObj`.
+     * @param  {Boolean} [negated=false] - whether the query is negated
+     */
+    constructor(lookupObj, connector, children, negated) {
+        this.connector = connector || AND;
+        if (children) {
+            this.children = children;
+        } else {
+            this.children = typeof lookupObj === 'undefined' ? [] : [lookupObj];
+        }
+        this.negated = !!negated;
+    }
+
+    /**
+     * Returns a new {@link Q} instance that matches if all of
+     * the arguments match.
+     * @param  {...Object|Q} queries - lookup objects or {@link Q} instances
+     * @return {Q} the combined query
+     */
+    static and(...queries) {
+        return new Q(undefined, AND, queries);
+    }
+
+    /**
+     * Returns a new {@link Q} instance that matches if any of
+     * the arguments match.
+     * @param  {...Object|Q} queries - lookup objects or {@link Q} instances
+     * @return {Q} the combined query
+     */
+    static or(...queries) {
+        return new Q(undefined, OR, queries);
+    }
+
+    /**
+     * Returns a new {@link Q} instance that matches if `query` doesn't.
+     * @param  {Object|Q} query - a lookup object or a {@link Q} instance
+     * @return {Q} the negated query
+     */
+    static not(query) {
+        return new Q(query).not();
+    }
+
+    /**
+     * Returns a new {@link Q} instance that matches if this
+     * query and all of the arguments match.
+     * @param  {...Object|Q} queries - lookup objects or {@link Q} instances
+     * @return {Q} the combined query
+     */
+    and(...queries) {
+        return Q.and(this, ...queries);
+    }
+
+    /**
+     * Returns a new {@link Q} instance that matches if this
+     * query or any of the arguments match.
+     * @param  {...Object|Q} queries - lookup objects or {@link Q} instances
+     * @return {Q} the combined query
+     */
+    or(...queries) {
+        return Q.or(this, ...queries);
+    }
+
+    /**
+     * Returns a negated copy of this query.
+     * @return {Q} the negated query
+     */
+    not() {
+        return new Q(undefined, this.connector, this.children, !this.negated);
+    }
+
+    /**
+     * Returns a predicate function for plain objects of `modelClass`.
+     * @param  {Model} [modelClass] - the model class of the objects to check
+     * @return {Function} a function that takes a plain object and returns `true`
+     *                    if it matches the query, else `false`.
+     */
+    toPredicate(modelClass) {
+        const predicates = this.children.map(child => lookupPredicate(child, modelClass));
+        const combine = this.connector === OR
+            ? entity => predicates.some(predicate => predicate(entity))
+            : entity => predicates.every(predicate => predicate(entity));
+
+        return this.negated
+            ? entity => !combine(entity)
+            : combine;
+    }
+
+    toString() {
+        const children = this.children.map(child => {
+            return child instanceof Q ? child.toString() : lookupToString(child);
+        }).join(` ${this.connector} `);
+        return `${this.negated ? 'NOT ' : ''}(${children})`;
+    }
+};
+
+export {
+    Q,
+    LOOKUP_SEPARATOR,
+    operators,
+    parseLookupKey,
+    lookupPredicate,
+    getPathValues,
+};
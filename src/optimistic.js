@@ -0,0 +1,121 @@
+import findIndex from 'lodash/array/findIndex';
+import omit from 'lodash/object/omit';
+import {COMMIT, REVERT} from './constants';
+
+/**
+ * @module optimistic
+ */
+
+/**
+ * Returns `action` tagged with the optimistic transaction id `txId`.
+ * The changes it makes stay pending until a {@link module:optimistic~commit}
+ * or a {@link module:optimistic~revert} action with the same id.
+ *
+ * @param  {Object} action - the action to tag
+ * @param  {*} txId - the transaction id
+ * @return {Object} a new action with `meta.optimistic` set to `txId`
+ */
+function optimistic(action, txId) {
+    return Object.assign({}, action, {
+        meta: Object.assign({}, action.meta, {optimistic: txId}),
+    });
+}
+
+/**
+ * Returns an action that keeps the changes of the actions
+ * tagged with `txId`.
+ *
+ * @param  {*} txId - the transaction id
+ * @return {Object} the action to dispatch
+ */
+function commit(txId) {
+    return {type: COMMIT, payload: txId};
+}
+
+/**
+ * Returns an action that discards the changes of the actions
+ * tagged with `txId`. The actions dispatched after them are
+ * applied again without them.
+ *
+ * @param  {*} txId - the transaction id
+ * @return {Object} the action to dispatch
+ */
+function revert(txId) {
+    return {type: REVERT, payload: txId};
+}
+
+function txIdOf(action) {
+    const txId = action.meta && action.meta.optimistic;
+    return typeof txId === 'undefined' ? null : txId;
+}
+
+/**
+ * Returns a reducer that keeps the changes of optimistic actions
+ * as layers that can be committed or reverted, like the one returned
+ * by {@link Schema#reducer} with the `optimistic` option.
+ *
+ * While there are pending transactions, the state holds a log of the
+ * actions dispatched since the first pending one, each with the state
+ * before it. Reverting a transaction reduces the actions after it again,
+ * starting from the state before its first action.
+ *
+ * @param  {Function} reducer - the reducer to apply the actions with
+ * @param  {Object} [opts] - options
+ * @param  {string} [opts.key='_optimistic'] - the key of the log in the state
+ * @return {Function} a reducer function
+ */
+function optimisticReducer(reducer, opts) {
+    const {key} = Object.assign({key: '_optimistic'}, opts);
+
+    // Returns `nextState` with the log of pending actions. Actions
+    // before the first pending transaction don't need to be kept.
+    const withLog = (nextState, log) => {
+        const firstPending = findIndex(log, entry => entry.txId !== null);
+        if (firstPending === -1) {
+            return omit(nextState, key);
+        }
+        return Object.assign({}, nextState, {[key]: log.slice(firstPending)});
+    };
+
+    return (state, action) => {
+        const log = (state && state[key]) || [];
+        const txId = txIdOf(action);
+
+        if (action.type === COMMIT || action.type === REVERT) {
+            const idx = findIndex(log, entry => entry.txId === action.payload);
+            if (idx === -1) {
+                return state;
+            }
+            if (action.type === COMMIT) {
+                return withLog(state, log.map(entry => {
+                    return entry.txId === action.payload
+                        ? Object.assign({}, entry, {txId: null})
+                        : entry;
+                }));
+            }
+
+            const nextLog = log.slice(0, idx);
+            const nextState = log.slice(idx + 1)
+                .filter(entry => entry.txId !== action.payload)
+                .reduce((before, entry) => {
+                    nextLog.push(Object.assign({}, entry, {before}));
+                    return reducer(before, entry.action);
+                }, log[idx].before);
+            return withLog(nextState, nextLog);
+        }
+
+        if (!log.length && txId === null) {
+            return reducer(state, action);
+        }
+        const before = state && omit(state, key);
+        const nextState = reducer(before, action);
+        return withLog(nextState, log.concat({action, txId, before}));
+    };
+}
+
+export {
+    optimistic,
+    commit,
+    revert,
+    optimisticReducer,
+};
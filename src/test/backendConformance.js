@@ -0,0 +1,291 @@
+import {expect} from 'chai';
+
+/**
+ * A test suite that checks that a {@link Backend} class or subclass
+ * fulfills the backend interface the rest of the library relies on.
+ * The suite only reads the state through the interface, so it works
+ * for any data structure.
+ *
+ * Call it inside a mocha `describe` block:
+ *
+ * ```javascript
+ * import testBackendConformance from 'redux-orm/lib/test/backendConformance';
+ *
+ * describe('MyBackend', () => {
+ *     testBackendConformance(MyBackend);
+ *     describe('with mutations', () => {
+ *         testBackendConformance(MyBackend, {withMutations: true});
+ *     });
+ * });
+ * ```
+ *
+ * @module test/backendConformance
+ */
+
+/**
+ * The methods every backend must implement.
+ * @type {string[]}
+ */
+export const BACKEND_METHODS = [
+    'getIdOf',
+    'normalizeId',
+    'getDefaultState',
+    'accessId',
+    'accessIdList',
+    'accessList',
+    'iterator',
+    'getIndexFor',
+    'accessIndex',
+    'findUniqueConflict',
+    'assertUnique',
+    'insert',
+    'insertMany',
+    'upsert',
+    'update',
+    'delete',
+    'order',
+    'remapId',
+    'clone',
+];
+
+const ENTITIES = [
+    {id: 0, data: 'cooldata'},
+    {id: 1, data: 'verycooldata!'},
+    {id: 2, data: 'awesomedata'},
+];
+
+function createState(backend, entities) {
+    return entities.reduce((branch, entity) => backend.insert(branch, entity), backend.getDefaultState());
+}
+
+function entitiesOf(backend, branch) {
+    return backend.accessIdList(branch).map(id => backend.accessId(branch, id));
+}
+
+/**
+ * Defines the conformance tests for `BackendClass`.
+ *
+ * @param  {Function} BackendClass - the backend class to test
+ * @param  {Object} [defaultOpts] - options passed to every `BackendClass` instance
+ *                                  the tests create, merged with test-specific options.
+ * @return {undefined}
+ */
+export default function testBackendConformance(BackendClass, defaultOpts = {}) {
+    const createBackend = opts => new BackendClass(Object.assign({}, defaultOpts, opts));
+
+    describe('backend interface', () => {
+        let backend;
+        let state;
+
+        beforeEach(() => {
+            backend = createBackend();
+            state = createState(backend, ENTITIES);
+        });
+
+        it('implements the backend methods', () => {
+            BACKEND_METHODS.forEach(methodName => {
+                expect(backend[methodName], methodName).to.be.a('function');
+            });
+            expect(backend.idAttribute).to.equal('id');
+            expect(backend.unique).to.deep.equal([]);
+        });
+
+        it('returns an empty default state', () => {
+            const empty = backend.getDefaultState();
+            expect(backend.accessIdList(empty)).to.deep.equal([]);
+            expect(backend.accessList(empty)).to.deep.equal([]);
+            expect(backend.accessId(empty, 0)).to.be.undefined;
+        });
+
+        it('correctly accesses objects', () => {
+            expect(backend.accessIdList(state)).to.deep.equal([0, 1, 2]);
+            expect(backend.accessId(state, 1)).to.deep.equal(ENTITIES[1]);
+            expect(backend.accessId(state, 3)).to.be.undefined;
+            expect(backend.accessList(state)).to.deep.equal(ENTITIES);
+        });
+
+        it('correctly returns an iterator', () => {
+            const iterator = backend.iterator(state);
+            expect(iterator.next()).to.deep.equal({value: ENTITIES[0], done: false});
+            expect(iterator.next()).to.deep.equal({value: ENTITIES[1], done: false});
+            expect(iterator.next()).to.deep.equal({value: ENTITIES[2], done: true});
+        });
+
+        it('correctly inserts an entry', () => {
+            const newState = backend.insert(state, {id: 3, data: 'newdata!'});
+            expect(entitiesOf(backend, newState)).to.deep.equal(ENTITIES.concat({id: 3, data: 'newdata!'}));
+            if (!backend.withMutations) {
+                expect(backend.accessIdList(state)).to.deep.equal([0, 1, 2]);
+            }
+        });
+
+        it('correctly inserts many entries', () => {
+            const entries = [{id: 3, data: 'newdata!'}, {id: 4, data: 'morenewdata!'}];
+            const newState = backend.insertMany(state, entries);
+            expect(entitiesOf(backend, newState)).to.deep.equal(ENTITIES.concat(entries));
+            if (!backend.withMutations) {
+                expect(backend.accessIdList(state)).to.deep.equal([0, 1, 2]);
+            }
+        });
+
+        it('correctly upserts entries', () => {
+            let newState = backend.upsert(state, [
+                {id: 1, extra: 'extradata'},
+                {id: 3, data: 'newdata!'},
+                {id: 3, extra: 'extradata'},
+            ]);
+            expect(entitiesOf(backend, newState)).to.deep.equal([
+                ENTITIES[0],
+                {id: 1, data: 'verycooldata!', extra: 'extradata'},
+                ENTITIES[2],
+                {id: 3, data: 'newdata!', extra: 'extradata'},
+            ]);
+
+            newState = backend.upsert(newState, [{id: 1, data: 'replaced'}], (entity, entry) => entry);
+            expect(backend.accessId(newState, 1)).to.deep.equal({id: 1, data: 'replaced'});
+        });
+
+        it('correctly updates entries with a merging object', () => {
+            const unchanged = backend.accessId(state, 0);
+            const newState = backend.update(state, [1, 2], {data: 'modifiedData'});
+            expect(entitiesOf(backend, newState)).to.deep.equal([
+                {id: 0, data: 'cooldata'},
+                {id: 1, data: 'modifiedData'},
+                {id: 2, data: 'modifiedData'},
+            ]);
+            expect(backend.accessId(newState, 0)).to.equal(unchanged);
+            if (!backend.withMutations) {
+                expect(backend.accessId(state, 1)).to.deep.equal(ENTITIES[1]);
+            }
+        });
+
+        it('correctly updates entries with a mapping function', () => {
+            const newState = backend.update(state, [1, 2], obj => Object.assign({}, obj, {data: `data${obj.id}`}));
+            expect(backend.accessList(newState).map(obj => obj.data)).to.deep.equal(['cooldata', 'data1', 'data2']);
+        });
+
+        it('returns the same state if an update changes nothing', () => {
+            expect(backend.update(state, [1], {data: 'verycooldata!'})).to.equal(state);
+        });
+
+        it('correctly deletes entries', () => {
+            const newState = backend.delete(state, [0, 2]);
+            expect(entitiesOf(backend, newState)).to.deep.equal([ENTITIES[1]]);
+            expect(backend.accessId(newState, 0)).to.be.undefined;
+            if (!backend.withMutations) {
+                expect(backend.accessIdList(state)).to.deep.equal([0, 1, 2]);
+            }
+        });
+
+        it('correctly orders entries', () => {
+            const newState = backend.order(state, ['data'], ['desc']);
+            expect(backend.accessIdList(newState)).to.deep.equal([1, 0, 2]);
+            expect(backend.accessId(newState, 0)).to.deep.equal(ENTITIES[0]);
+        });
+
+        it('clones a state that writes do not change', () => {
+            const cloned = backend.clone(state);
+            let newState = backend.insert(state, {id: 3, data: 'newdata!'});
+            newState = backend.update(newState, [0], {data: 'modifiedData'});
+            newState = backend.delete(newState, [1]);
+            expect(backend.accessIdList(newState)).to.deep.equal([0, 2, 3]);
+            expect(entitiesOf(backend, cloned)).to.deep.equal(ENTITIES);
+        });
+
+        it('correctly remaps an id', () => {
+            const newState = backend.remapId(state, 1, 10);
+            expect(backend.accessIdList(newState)).to.deep.equal([0, 10, 2]);
+            expect(backend.accessId(newState, 10)).to.deep.equal({id: 10, data: 'verycooldata!'});
+            expect(backend.accessId(newState, 1)).to.be.undefined;
+        });
+    });
+
+    describe('backend interface with unique constraints', () => {
+        let backend;
+        let state;
+
+        beforeEach(() => {
+            backend = createBackend({branchName: 'User', unique: ['email']});
+            state = createState(backend, [
+                {id: 0, email: 'a@example.com'},
+                {id: 1, email: 'b@example.com'},
+                {id: 2, email: null},
+            ]);
+        });
+
+        it('finds conflicts', () => {
+            expect(backend.unique).to.deep.equal([['email']]);
+            expect(backend.findUniqueConflict(state, [{id: 3, email: 'a@example.com'}])).to.deep.equal({
+                fieldNames: ['email'],
+                values: ['a@example.com'],
+                id: 0,
+            });
+            expect(backend.findUniqueConflict(state, [{id: 3, email: null}])).to.be.undefined;
+            expect(backend.findUniqueConflict(state, [{id: 0, email: 'a@example.com'}])).to.be.undefined;
+        });
+
+        it('throws on insert and update', () => {
+            expect(() => backend.insert(state, {id: 3, email: 'b@example.com'}))
+                .to.throw('User: Unique constraint failed: email="b@example.com" is already used by the object with id 1.');
+            expect(() => backend.update(state, [2], {email: 'a@example.com'}))
+                .to.throw('User: Unique constraint failed: email="a@example.com" is already used by the object with id 0.');
+            expect(backend.accessIdList(state)).to.deep.equal([0, 1, 2]);
+        });
+
+        it('returns matching ids from an index if one applies', () => {
+            const index = backend.getIndexFor(['email']);
+            if (index) {
+                expect(index).to.deep.equal(['email']);
+                expect(backend.accessIndex(state, index, ['b@example.com'])).to.deep.equal([1]);
+            } else {
+                expect(backend.accessIndex(state, ['email'], ['b@example.com'])).to.be.undefined;
+            }
+            expect(backend.getIndexFor(['name'])).to.be.undefined;
+        });
+
+        it('clones a state that writes do not change', () => {
+            const cloned = backend.clone(state);
+            backend.update(state, [0], {email: 'c@example.com'});
+            expect(backend.findUniqueConflict(cloned, [{id: 3, email: 'a@example.com'}])).to.deep.equal({
+                fieldNames: ['email'],
+                values: ['a@example.com'],
+                id: 0,
+            });
+            expect(backend.accessId(cloned, 0).email).to.equal('a@example.com');
+        });
+    });
+
+    describe('backend interface with a composite primary key', () => {
+        let backend;
+        let state;
+
+        beforeEach(() => {
+            backend = createBackend({idAttribute: ['orgId', 'userId']});
+            state = createState(backend, [
+                {orgId: 0, userId: 1, role: 'admin'},
+                {orgId: 1, userId: 0, role: 'member'},
+            ]);
+        });
+
+        it('identifies objects by the key fields', () => {
+            expect(backend.getIdOf({orgId: 0, userId: 1})).to.equal('[0,1]');
+            expect(backend.normalizeId([0, 1])).to.equal('[0,1]');
+            expect(backend.normalizeId({orgId: 0, userId: 1})).to.equal('[0,1]');
+            expect(backend.normalizeId('[0,1]')).to.equal('[0,1]');
+            expect(backend.accessIdList(state)).to.deep.equal(['[0,1]', '[1,0]']);
+            expect(backend.accessId(state, [1, 0]).role).to.equal('member');
+        });
+
+        it('updates, deletes and remaps objects', () => {
+            let newState = backend.update(state, ['[1,0]'], {role: 'admin'});
+            expect(backend.accessId(newState, '[1,0]').role).to.equal('admin');
+
+            newState = backend.remapId(newState, '[0,1]', [0, 2]);
+            expect(backend.accessIdList(newState)).to.deep.equal(['[0,2]', '[1,0]']);
+            expect(backend.accessId(newState, '[0,2]')).to.deep.equal({orgId: 0, userId: 2, role: 'admin'});
+
+            newState = backend.delete(newState, ['[1,0]']);
+            expect(backend.accessIdList(newState)).to.deep.equal(['[0,2]']);
+        });
+    });
+}
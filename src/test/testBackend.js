@@ -2,8 +2,11 @@ import chai from 'chai';
 import sinonChai from 'sinon-chai';
 chai.use(sinonChai);
 const {expect} = chai;
+import {OrderedMap} from 'immutable';
 import Backend from '../Backend';
+import ImmutableBackend from '../ImmutableBackend';
 import {ListIterator} from '../utils';
+import testBackendConformance from './backendConformance';
 
 describe('Backend', () => {
     describe('prototype methods', () => {
@@ -155,4 +158,369 @@ describe('Backend', () => {
             expect(newState.itemsById).to.equal(state.itemsById);
         });
     });
+
+    describe('secondary indexes', () => {
+        let backend;
+        let state;
+
+        beforeEach(() => {
+            backend = new Backend({indexes: ['author', ['status', 'priority']]});
+            state = [
+                {id: 0, author: 0, status: 'open', priority: 1},
+                {id: 1, author: 1, status: 'open', priority: 2},
+                {id: 2, author: 0, status: 'done', priority: 1},
+            ].reduce((branch, entry) => backend.insert(branch, entry), backend.getDefaultState());
+        });
+
+        it('correctly finds the index for field names', () => {
+            expect(backend.getIndexFor(['author', 'title'])).to.deep.equal(['author']);
+            expect(backend.getIndexFor(['status', 'priority', 'author'])).to.deep.equal(['status', 'priority']);
+            expect(backend.getIndexFor(['status'])).to.be.undefined;
+        });
+
+        it('correctly maintains indexes on insert', () => {
+            expect(backend.accessIndex(state, ['author'], [0])).to.deep.equal([0, 2]);
+            expect(backend.accessIndex(state, ['status', 'priority'], ['open', 2])).to.deep.equal([1]);
+            expect(backend.accessIndex(state, ['author'], [5])).to.deep.equal([]);
+            expect(backend.accessIndex(state, ['title'], ['x'])).to.be.undefined;
+        });
+
+        it('correctly maintains indexes on update', () => {
+            const newState = backend.update(state, [0, 1], entity => Object.assign({}, entity, {author: 2}));
+            expect(backend.accessIndex(newState, ['author'], [2])).to.deep.equal([0, 1]);
+            expect(backend.accessIndex(newState, ['author'], [0])).to.deep.equal([2]);
+            expect(backend.accessIndex(newState, ['author'], [1])).to.deep.equal([]);
+            expect(newState.indexes['status,priority']).to.equal(state.indexes['status,priority']);
+
+            // Moved ids keep the order of the list.
+            const movedBack = backend.update(newState, [0], {author: 0});
+            expect(backend.accessIndex(movedBack, ['author'], [0])).to.deep.equal([0, 2]);
+            expect(backend.accessIndex(state, ['author'], [0])).to.deep.equal([0, 2]);
+        });
+
+        it('correctly maintains indexes when updating many rows across many keys', () => {
+            const manyBackend = new Backend({indexes: ['author']});
+            const entries = [];
+            for (let i = 0; i < 500; i++) {
+                entries.push({id: i, author: i % 50});
+            }
+            const manyState = entries.reduce((branch, entry) => manyBackend.insert(branch, entry),
+                                             manyBackend.getDefaultState());
+
+            const ids = entries.filter(entry => entry.id % 3).map(entry => entry.id);
+            const newState = manyBackend.update(manyState, ids, entity => {
+                return Object.assign({}, entity, {author: (entity.author + 7) % 50});
+            });
+
+            const expected = {};
+            newState.items.forEach(id => {
+                const key = newState.itemsById[id].author;
+                expected[key] = (expected[key] || []).concat(id);
+            });
+            Object.keys(expected).forEach(author => {
+                expect(manyBackend.accessIndex(newState, ['author'], [Number(author)])).to.deep.equal(expected[author]);
+            });
+            expect(Object.keys(expected)).to.have.length(50);
+        });
+
+        it('correctly maintains indexes on delete and order', () => {
+            const newState = backend.delete(state, [0]);
+            expect(backend.accessIndex(newState, ['author'], [0])).to.deep.equal([2]);
+            expect(backend.accessIndex(state, ['author'], [0])).to.deep.equal([0, 2]);
+
+            const ordered = backend.order(state, ['id'], ['desc']);
+            expect(backend.accessIndex(ordered, ['author'], [0])).to.deep.equal([2, 0]);
+        });
+
+        it('correctly maintains indexes with mutations', () => {
+            const mutatingBackend = new Backend({indexes: ['author'], withMutations: true});
+            const branch = mutatingBackend.getDefaultState();
+            mutatingBackend.insert(branch, {id: 0, author: 0});
+            mutatingBackend.insert(branch, {id: 1, author: 0});
+            mutatingBackend.update(branch, [1], {author: 1});
+            mutatingBackend.delete(branch, [0]);
+            expect(branch.indexes).to.deep.equal({author: {'[1]': [1]}});
+        });
+
+        it('builds indexes missing from the state', () => {
+            const newState = backend.insert({items: [0], itemsById: {0: {id: 0, author: 0}}}, {id: 1, author: 0});
+            expect(backend.accessIndex(newState, ['author'], [0])).to.deep.equal([0, 1]);
+        });
+
+        it('requires indexById', () => {
+            expect(() => new Backend({indexById: false, indexes: ['author']}))
+                .to.throw('Secondary indexes require the indexById option.');
+        });
+    });
+
+    describe('unique constraints', () => {
+        const backend = new Backend({branchName: 'User', unique: ['email', ['team', 'slug']]});
+        let state;
+
+        beforeEach(() => {
+            state = [
+                {id: 0, email: 'a@example.com', team: 0, slug: 'a'},
+                {id: 1, email: 'b@example.com', team: 0, slug: 'b'},
+                {id: 2, email: null, team: 1, slug: 'a'},
+            ].reduce((branch, entry) => backend.insert(branch, entry), backend.getDefaultState());
+        });
+
+        it('maintains an index for each constraint', () => {
+            expect(backend.indexes).to.deep.equal([['email'], ['team', 'slug']]);
+            expect(backend.accessIndex(state, ['email'], ['b@example.com'])).to.deep.equal([1]);
+        });
+
+        it('correctly finds conflicts', () => {
+            expect(backend.findUniqueConflict(state, [{id: 3, email: 'a@example.com'}])).to.deep.equal({
+                fieldNames: ['email'],
+                values: ['a@example.com'],
+                id: 0,
+            });
+            expect(backend.findUniqueConflict(state, [{id: 3, email: null, team: 1, slug: 'b'}])).to.be.undefined;
+            expect(backend.findUniqueConflict(state, [{id: 0, email: 'a@example.com', team: 0, slug: 'a'}]))
+                .to.be.undefined;
+
+            // Swapping values is allowed, duplicates among the objects are not.
+            expect(backend.findUniqueConflict(state, [
+                {id: 0, email: 'b@example.com'},
+                {id: 1, email: 'a@example.com'},
+            ])).to.be.undefined;
+            expect(backend.findUniqueConflict(state, [
+                {id: 3, email: 'c@example.com'},
+                {id: 4, email: 'c@example.com'},
+            ]).id).to.equal(3);
+        });
+
+        it('throws on insert and update', () => {
+            expect(() => backend.insert(state, {id: 3, email: 'b@example.com'}))
+                .to.throw('User: Unique constraint failed: email="b@example.com" is already used by the object with id 1.');
+            expect(() => backend.update(state, [1], {team: 1, slug: 'a'}))
+                .to.throw('User: Unique constraint failed: team=1, slug="a" is already used by the object with id 2.');
+            expect(backend.update(state, [2], {email: 'c@example.com'}).itemsById[2].email).to.equal('c@example.com');
+        });
+    });
+
+    describe('composite primary keys', () => {
+        const backend = new Backend({idAttribute: ['orgId', 'userId']});
+        let state;
+
+        beforeEach(() => {
+            state = [
+                {orgId: 0, userId: 0, role: 'admin'},
+                {orgId: 0, userId: 1, role: 'member'},
+                {orgId: 1, userId: 0, role: 'member'},
+            ].reduce((branch, entry) => backend.insert(branch, entry), backend.getDefaultState());
+        });
+
+        it('correctly derives ids', () => {
+            expect(backend.hasCompositeId).to.be.true;
+            expect(backend.getIdOf({orgId: 1, userId: 'a'})).to.equal('[1,"a"]');
+            expect(backend.normalizeId([1, 'a'])).to.equal('[1,"a"]');
+            expect(backend.normalizeId({userId: 'a', orgId: 1})).to.equal('[1,"a"]');
+            expect(backend.normalizeId('[1,"a"]')).to.equal('[1,"a"]');
+            expect(new Backend().normalizeId(5)).to.equal(5);
+        });
+
+        it('correctly inserts and accesses entries', () => {
+            expect(state.items).to.deep.equal(['[0,0]', '[0,1]', '[1,0]']);
+            expect(backend.accessId(state, [0, 1]).role).to.equal('member');
+            expect(backend.accessId(state, {orgId: 1, userId: 0})).to.equal(state.itemsById['[1,0]']);
+            expect(backend.accessId(state, '[0,0]').role).to.equal('admin');
+        });
+
+        it('correctly updates, deletes and orders entries', () => {
+            const updated = backend.update(state, ['[0,1]'], {role: 'admin'});
+            expect(updated.itemsById['[0,1]'].role).to.equal('admin');
+
+            const deleted = backend.delete(state, ['[0,0]']);
+            expect(deleted.items).to.deep.equal(['[0,1]', '[1,0]']);
+
+            const ordered = backend.order(state, ['orgId', 'userId'], ['desc', 'desc']);
+            expect(ordered.items).to.deep.equal(['[1,0]', '[0,1]', '[0,0]']);
+        });
+
+        it('works without indexById', () => {
+            const listBackend = new Backend({idAttribute: ['orgId', 'userId'], indexById: false});
+            const branch = listBackend.insert(listBackend.getDefaultState(), {orgId: 0, userId: 1});
+            expect(listBackend.accessId(branch, [0, 1])).to.equal(branch.items[0]);
+            expect(listBackend.delete(branch, ['[0,1]']).items).to.deep.equal([]);
+        });
+    });
+});
+
+describe('Backend ordering', () => {
+    const entities = [
+        {id: 0, title: 'b', priority: 1, status: 'open'},
+        {id: 1, title: 'a', priority: 2, status: 'open'},
+        {id: 2, title: 'c', priority: null, status: 'done'},
+        {id: 3, title: 'a', priority: 1, status: 'done'},
+        {id: 4, title: 'b', priority: 1, status: 'open'},
+    ];
+    const opts = {branchName: 'Task', ordering: ['-priority', 'title']};
+    const createState = backend => entities.reduce((branch, entity) => backend.insert(branch, entity),
+                                                   backend.getDefaultState());
+
+    it('keeps the objects ordered on insert', () => {
+        const backend = new Backend(Object.assign({indexes: ['status']}, opts));
+        const state = createState(backend);
+
+        // Missing values are the largest, and equal objects
+        // are kept in the order they were inserted in.
+        expect(state.items).to.deep.equal([2, 1, 3, 0, 4]);
+        expect(backend.accessIndex(state, ['status'], ['open'])).to.deep.equal([1, 0, 4]);
+        expect(backend.accessIndex(state, ['status'], ['done'])).to.deep.equal([2, 3]);
+    });
+
+    it('moves updated objects to their positions', () => {
+        const backend = new Backend(Object.assign({indexes: ['status']}, opts));
+        const state = createState(backend);
+
+        let newState = backend.update(state, [4], {title: 'a'});
+        expect(newState.items).to.deep.equal([2, 1, 3, 4, 0]);
+        expect(backend.accessIndex(newState, ['status'], ['open'])).to.deep.equal([1, 4, 0]);
+        expect(state.items).to.deep.equal([2, 1, 3, 0, 4]);
+
+        newState = backend.update(newState, [2, 3], {priority: 3, status: 'open'});
+        expect(newState.items).to.deep.equal([3, 2, 1, 4, 0]);
+        expect(backend.accessIndex(newState, ['status'], ['open'])).to.deep.equal([3, 2, 1, 4, 0]);
+
+        // Changing other fields keeps the position.
+        newState = backend.update(newState, [1], {status: 'done'});
+        expect(newState.items).to.deep.equal([3, 2, 1, 4, 0]);
+    });
+
+    it('keeps the objects ordered with mutations and without indexById', () => {
+        const backend = new Backend(Object.assign({indexById: false, withMutations: true}, opts));
+        const state = createState(backend);
+        const ids = () => state.items.map(entity => entity.id);
+        expect(ids()).to.deep.equal([2, 1, 3, 0, 4]);
+
+        backend.update(state, [0], {priority: 5});
+        expect(ids()).to.deep.equal([2, 0, 1, 3, 4]);
+    });
+
+    it('keeps the objects ordered in an ImmutableBackend', () => {
+        const backend = new ImmutableBackend(opts);
+        const state = createState(backend);
+        expect(backend.accessIdList(state)).to.deep.equal([2, 1, 3, 0, 4]);
+        expect(backend.accessIdList(backend.update(state, [4], {title: 'a'}))).to.deep.equal([2, 1, 3, 4, 0]);
+        expect(backend.accessIdList(backend.update(state, [4], {status: 'done'}))).to.deep.equal([2, 1, 3, 0, 4]);
+        expect(backend.accessIdList(backend.update(state, [2, 3], {priority: 3}))).to.deep.equal([3, 2, 1, 0, 4]);
+
+        const inserted = backend.insertMany(state, [
+            {id: 5, title: 'a', priority: 5},
+            {id: 6, title: 'z', priority: 0},
+        ]);
+        expect(backend.accessIdList(inserted)).to.deep.equal([2, 5, 1, 3, 0, 4, 6]);
+        expect(backend.accessIdList(backend.insert(state, {id: 5, title: 'a', priority: 0})))
+            .to.deep.equal([2, 1, 3, 0, 4, 5]);
+    });
+
+    it('inserts into an ImmutableBackend with a binary search', () => {
+        const backend = new ImmutableBackend(opts);
+        let state = backend.getDefaultState();
+        for (let i = 0; i < 1024; i++) {
+            state = backend.insert(state, {id: i, title: `${i}`, priority: i});
+        }
+
+        const compare = backend._compare.bind(backend);
+        let calls = 0;
+        backend._compare = (a, b) => {
+            calls++;
+            return compare(a, b);
+        };
+        state = backend.insert(state, {id: 1024, title: 'x', priority: 500.5});
+        state = backend.update(state, [0], {priority: 2000});
+        expect(calls).to.be.at.most(30);
+        expect(backend.accessIdList(state).slice(0, 3)).to.deep.equal([0, 1023, 1022]);
+        expect(backend.accessIdList(state).indexOf(1024)).to.equal(524);
+    });
+
+    it('throws on order', () => {
+        const backend = new Backend(opts);
+        expect(() => backend.order(createState(backend), ['id']))
+            .to.throw('Task: Can\'t change the order of objects kept in the declared ordering.');
+    });
+});
+
+describe('Backend conformance', () => {
+    testBackendConformance(Backend);
+
+    describe('with mutations', () => {
+        testBackendConformance(Backend, {withMutations: true});
+    });
+
+    describe('without indexById', () => {
+        testBackendConformance(Backend, {indexById: false});
+    });
+
+    describe('without indexById, with mutations', () => {
+        testBackendConformance(Backend, {indexById: false, withMutations: true});
+    });
+});
+
+describe('ImmutableBackend', () => {
+    testBackendConformance(ImmutableBackend);
+
+    const backend = new ImmutableBackend({branchName: 'Item', unique: ['slug']});
+    let state;
+
+    beforeEach(() => {
+        state = [
+            {id: 0, slug: 'a', data: 'cooldata'},
+            {id: 1, slug: 'b', data: 'verycooldata!'},
+            {id: 2, slug: 'c', data: 'awesomedata'},
+        ].reduce((branch, entry) => backend.insert(branch, entry), backend.getDefaultState());
+    });
+
+    it('stores objects in an OrderedMap', () => {
+        expect(backend.getDefaultState()).to.equal(OrderedMap());
+        expect(state).to.be.an.instanceOf(OrderedMap);
+        expect(state.keySeq().toArray()).to.deep.equal([0, 1, 2]);
+        expect(backend.accessId(state, 1)).to.equal(state.get(1));
+    });
+
+    it('correctly accesses ids and objects', () => {
+        const ids = backend.accessIdList(state);
+        expect(ids).to.deep.equal([0, 1, 2]);
+        expect(backend.accessIdList(state)).to.equal(ids);
+        expect(backend.accessList(state)).to.deep.equal(state.toArray());
+
+        const iterator = backend.iterator(state);
+        expect(iterator.next()).to.deep.equal({value: state.get(0), done: false});
+        iterator.next();
+        expect(iterator.next()).to.deep.equal({value: state.get(2), done: true});
+    });
+
+    it('correctly updates and deletes objects', () => {
+        const updated = backend.update(state, [0, 2], {data: 'changed'});
+        expect(updated.get(0)).to.deep.equal({id: 0, slug: 'a', data: 'changed'});
+        expect(updated.get(1)).to.equal(state.get(1));
+        expect(state.get(0).data).to.equal('cooldata');
+        expect(backend.update(state, [1], {data: 'verycooldata!'})).to.equal(state);
+
+        const deleted = backend.delete(state, [0, 2]);
+        expect(deleted.keySeq().toArray()).to.deep.equal([1]);
+        expect(state.size).to.equal(3);
+    });
+
+    it('correctly orders and remaps objects', () => {
+        const ordered = backend.order(state, ['data'], ['desc']);
+        expect(ordered.keySeq().toArray()).to.deep.equal([1, 0, 2]);
+        expect(ordered.get(0)).to.equal(state.get(0));
+
+        const remapped = backend.remapId(state, 1, 10);
+        expect(remapped.keySeq().toArray()).to.deep.equal([0, 10, 2]);
+        expect(remapped.get(10)).to.deep.equal({id: 10, slug: 'b', data: 'verycooldata!'});
+    });
+
+    it('enforces unique constraints without indexes', () => {
+        expect(backend.accessIndex(state, ['slug'], ['a'])).to.be.undefined;
+        expect(() => backend.insert(state, {id: 3, slug: 'a'}))
+            .to.throw('Item: Unique constraint failed: slug="a" is already used by the object with id 0.');
+        expect(() => backend.update(state, [2], {slug: 'b'}))
+            .to.throw('Item: Unique constraint failed: slug="b" is already used by the object with id 1.');
+        expect(() => new ImmutableBackend({indexes: ['slug']}))
+            .to.throw('ImmutableBackend does not support secondary indexes.');
+    });
 });
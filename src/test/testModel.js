@@ -4,6 +4,8 @@ import sinon from 'sinon';
 chai.use(sinonChai);
 const {expect} = chai;
 import BaseModel from '../Model';
+import Schema from '../Schema';
+import {Attribute} from '../fields';
 import {UPDATE, DELETE, CREATE, ORDER} from '../constants';
 
 describe('Model', () => {
@@ -194,4 +196,183 @@ describe('Model', () => {
             expect(instance.getClass()).to.equal(Model);
         });
     });
+
+    describe('attribute fields', () => {
+        let schema;
+        let session;
+        let User;
+
+        beforeEach(() => {
+            User = class UserModel extends BaseModel {};
+            User.modelName = 'User';
+            User.fields = {
+                name: new Attribute({type: 'string', required: true}),
+                age: new Attribute({type: 'number'}),
+                active: new Attribute({type: 'boolean', default: true}),
+                tags: new Attribute({type: 'array', default: () => []}),
+                role: new Attribute({type: 'enum', choices: ['admin', 'member'], default: 'member'}),
+                joined: new Attribute({type: 'date'}),
+                meta: new Attribute({type: 'object'}),
+            };
+
+            schema = new Schema();
+            schema.register(User);
+            session = schema.from(schema.getDefaultState());
+        });
+
+        it('create applies default values', () => {
+            const user = session.User.create({name: 'Tommi'});
+            expect(user.toPlain()).to.deep.equal({
+                id: 0,
+                name: 'Tommi',
+                active: true,
+                tags: [],
+                role: 'member',
+            });
+
+            const other = session.User.create({name: 'Matt', active: false});
+            expect(other.active).to.be.false;
+            expect(other.tags).to.not.equal(user.tags);
+        });
+
+        it('create throws on missing required values before recording', () => {
+            expect(() => session.User.create({age: 5})).to.throw('User: Field "name" is required.');
+            expect(session.updates).to.have.length(0);
+        });
+
+        it('create throws on type violations', () => {
+            expect(() => session.User.create({name: 5})).to.throw(/must be of type string/);
+            expect(() => session.User.create({name: 'a', age: 'old'})).to.throw(/must be of type number/);
+            expect(() => session.User.create({name: 'a', joined: 'today'})).to.throw(/must be of type date/);
+            expect(() => session.User.create({name: 'a', meta: []})).to.throw(/must be of type object/);
+            expect(() => session.User.create({name: 'a', role: 'owner'})).to.throw(/must be one of admin, member/);
+            expect(session.updates).to.have.length(0);
+
+            session.User.create({name: 'a', age: null, joined: new Date(), meta: {a: 1}});
+            expect(session.updates).to.have.length(1);
+        });
+
+        it('update validates only the supplied values', () => {
+            const user = session.User.create({name: 'Tommi'});
+            expect(session.updates).to.have.length(1);
+
+            user.update({age: 25});
+            expect(session.updates).to.have.length(2);
+
+            expect(() => user.update({age: '25'})).to.throw(/must be of type number/);
+            expect(() => user.update({name: null})).to.throw(/is required/);
+            expect(() => user.set('active', 'yes')).to.throw(/must be of type boolean/);
+            expect(() => { user.name = 1; }).to.throw(/must be of type string/);
+            expect(() => session.User.all().update({role: 'owner'})).to.throw(/must be one of/);
+            expect(session.updates).to.have.length(2);
+        });
+
+        it('QuerySet update validates the results of a function', () => {
+            const state = schema.getDefaultState();
+            schema.withMutations(state).User.create({name: 'Tommi', age: 25});
+            const updateSession = schema.from(state);
+            const users = updateSession.User.all();
+
+            expect(() => users.update(user => Object.assign({}, user, {age: '26'})))
+                .to.throw('User: Field "age" must be of type number');
+            expect(() => users.update(user => Object.assign({}, user, {name: undefined})))
+                .to.throw('User: Field "name" is required.');
+            expect(updateSession.updates).to.have.length(0);
+
+            // The function is called once for each object, and sees
+            // the earlier updates recorded in the session.
+            let calls = 0;
+            const incrementAge = user => {
+                calls++;
+                return Object.assign({}, user, {age: user.age + 1});
+            };
+            users.update(incrementAge);
+            users.update(incrementAge);
+            expect(updateSession.reduce().User.itemsById[0].age).to.equal(27);
+            expect(calls).to.equal(2);
+        });
+
+        it('assignment records a valid update', () => {
+            const user = session.User.create({name: 'Tommi'});
+            user.name = 'Matt';
+            const nextState = session.reduce();
+            expect(nextState.User.itemsById[0].name).to.equal('Matt');
+        });
+
+        it('throws on an unknown type or an enum without choices', () => {
+            expect(() => new Attribute({type: 'integer'})).to.throw('Unknown attribute type: integer');
+            expect(() => new Attribute({type: 'enum'})).to.throw(/choices/);
+        });
+    });
+
+    describe('id generators', () => {
+        let schema;
+        let Item;
+
+        beforeEach(() => {
+            Item = class ItemModel extends BaseModel {};
+            Item.modelName = 'Item';
+            schema = new Schema();
+            schema.register(Item);
+        });
+
+        function createIds(state, count) {
+            const session = schema.from(state);
+            const ids = [];
+            for (let i = 0; i < count; i++) {
+                ids.push(session.Item.create({}).getId());
+            }
+            return ids;
+        }
+
+        it('auto-increments numeric ids by default', () => {
+            const state = {Item: {items: [3, 'a', 7], itemsById: {3: {id: 3}, a: {id: 'a'}, 7: {id: 7}}}};
+            expect(createIds(state, 2)).to.deep.equal([8, 9]);
+            expect(createIds(schema.getDefaultState(), 2)).to.deep.equal([0, 1]);
+
+            const session = schema.from(state);
+            session.Item.create({id: 8});
+            expect(session.Item.create({}).getId()).to.equal(9);
+        });
+
+        it('generates temporary negative ids', () => {
+            Item.idGenerator = 'temporary';
+            const state = {Item: {items: [-1, 5], itemsById: {'-1': {id: -1}, 5: {id: 5}}}};
+            expect(createIds(state, 2)).to.deep.equal([-2, -3]);
+        });
+
+        it('nextId has no side effects', () => {
+            const session = schema.from(schema.getDefaultState());
+            expect(session.Item.nextId()).to.equal(0);
+            expect(session.Item.nextId()).to.equal(0);
+            expect(session.Item.create({}).getId()).to.equal(0);
+            expect(session.Item.nextId()).to.equal(1);
+
+            Item.idGenerator = 'temporary';
+            expect(session.Item.nextId()).to.equal(-1);
+            expect(session.Item.nextId()).to.equal(-1);
+            expect(session.Item.create({}).getId()).to.equal(-1);
+            expect(session.Item.nextId()).to.equal(-2);
+        });
+
+        it('generates UUIDs and ULIDs', () => {
+            Item.idGenerator = 'uuid';
+            const uuids = createIds(schema.getDefaultState(), 2);
+            expect(uuids[0]).to.match(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+            expect(uuids[0]).to.not.equal(uuids[1]);
+
+            Item.idGenerator = 'ulid';
+            const [ulid] = createIds(schema.getDefaultState(), 1);
+            expect(ulid).to.match(/^[0-9A-HJKMNP-TV-Z]{26}$/);
+            expect(ulid.slice(0, 10) >= '01ARZ3NDEK').to.be.true;
+        });
+
+        it('uses a custom generator function', () => {
+            Item.idGenerator = modelClass => `${modelClass.modelName}-${modelClass.count()}`;
+            expect(createIds(schema.getDefaultState(), 1)).to.deep.equal(['Item-0']);
+
+            Item.idGenerator = 'sequential';
+            expect(() => createIds(schema.getDefaultState(), 1)).to.throw('Item: Unknown id generator: sequential');
+        });
+    });
 });
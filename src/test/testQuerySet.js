@@ -7,6 +7,8 @@ const {expect} = chai;
 import Model from '../Model';
 import Schema from '../Schema';
 import QuerySet from '../QuerySet';
+import {Q} from '../lookups';
+import {Sum, Avg, Min, Max, Count} from '../aggregates';
 import {
     UPDATE,
     DELETE,
@@ -91,6 +93,113 @@ describe('QuerySet', () => {
         expect(all.idArr).to.deep.equal(qs.idArr);
     });
 
+    it('evaluates lazily', () => {
+        const isAdult = sinon.spy(person => person.age > 30);
+        const filtered = qs.plain.filter(isAdult).orderBy('name');
+        expect(isAdult).not.to.have.been.called;
+
+        expect(filtered.idArr).to.deep.equal([1, 2]);
+        expect(isAdult).to.have.been.calledThrice;
+
+        // The result is cached.
+        expect(filtered.count()).to.equal(2);
+        expect(isAdult).to.have.been.calledThrice;
+    });
+
+    it('evaluates right away in a session with mutations', () => {
+        const mutating = schema.withMutations(schema.getDefaultState());
+        mutating.Person.create({name: 'Tommi', age: 25});
+
+        const young = mutating.Person.filter(person => person.age < 30);
+        const tommis = mutating.Person.filter({name: 'Tommi'}).orderBy('age');
+        mutating.Person.create({name: 'Tommi', age: 20});
+        mutating.Person.withId(0).update({age: 35});
+
+        expect(young.count()).to.equal(1);
+        expect(tommis.idArr).to.deep.equal([0]);
+        expect(mutating.Person.filter(person => person.age < 30).idArr).to.deep.equal([1]);
+    });
+
+    it('applies consecutive filters in a single pass', () => {
+        const calls = [];
+        const first = person => { calls.push(['first', person.id]); return true; };
+        const second = person => { calls.push(['second', person.id]); return person.id !== 1; };
+
+        expect(qs.plain.filter(first).exclude({name: 'Mary'}).filter(second).idArr).to.deep.equal([0]);
+        expect(calls).to.deep.equal([
+            ['first', 0],
+            ['second', 0],
+            ['first', 1],
+            ['second', 1],
+            ['first', 2],
+        ]);
+    });
+
+    it('short-circuits first, exists and limit', () => {
+        const isAdult = sinon.spy(person => person.age > 30);
+        const adults = qs.plain.filter(isAdult);
+
+        expect(adults.first()).to.equal(state.Person.itemsById[1]);
+        expect(isAdult).to.have.been.calledTwice;
+
+        expect(adults.exists()).to.equal(true);
+        expect(adults.limit(1).offset(0).idArr).to.deep.equal([1]);
+        expect(isAdult.callCount).to.equal(6);
+
+        expect(qs.plain.filter({name: 'Nobody'}).first()).to.be.undefined;
+        expect(qs.filter({name: 'Nobody'}).exists()).to.equal(false);
+    });
+
+    it('slice, limit and offset work correctly', () => {
+        expect(qs.slice(1).idArr).to.deep.equal([1, 2]);
+        expect(qs.slice(0, 2).idArr).to.deep.equal([0, 1]);
+        expect(qs.slice(-1).idArr).to.deep.equal([2]);
+        expect(qs.limit(2).idArr).to.deep.equal([0, 1]);
+        expect(qs.offset(2).idArr).to.deep.equal([2]);
+        expect(qs.offset(1).limit(1).plain.first()).to.deep.equal({id: 1, name: 'John', age: 50});
+        expect(session.Person.limit(10).count()).to.equal(3);
+    });
+
+    it('paginate works correctly', () => {
+        const ordered = qs.orderBy('age', 'desc');
+        const first = ordered.paginate({pageSize: 2});
+        expect(first.items).to.be.an.instanceOf(QuerySet);
+        expect(first.items.idArr).to.deep.equal([2, 1]);
+        expect(first.total).to.equal(3);
+        expect(first.prevCursor).to.be.null;
+
+        const second = ordered.paginate({pageSize: 2, cursor: first.nextCursor});
+        expect(second.items.idArr).to.deep.equal([0]);
+        expect(second.nextCursor).to.be.null;
+
+        const back = ordered.paginate({pageSize: 2, cursor: second.prevCursor});
+        expect(back.items.idArr).to.deep.equal([2, 1]);
+        expect(back.prevCursor).to.be.null;
+
+        // The cursor refers to an object, not to an index.
+        const withoutFirst = ordered.exclude({id: 2});
+        expect(withoutFirst.paginate({pageSize: 2, cursor: first.nextCursor}).items.idArr)
+            .to.deep.equal([0]);
+
+        // The page before a cursor near the start is short.
+        const items = [];
+        const itemsById = {};
+        for (let id = 0; id < 20; id++) {
+            items.push(id);
+            itemsById[id] = {id, name: `Person ${id}`};
+        }
+        const many = schema.from({Person: {items, itemsById}}).Person.query;
+        const short = many.paginate({pageSize: 10, cursor: 'before:3'});
+        expect(short.items.idArr).to.deep.equal([0, 1, 2]);
+        expect(short.prevCursor).to.be.null;
+        expect(short.nextCursor).to.equal('after:2');
+        expect(many.paginate({pageSize: 10, cursor: 'before:15'}).items.idArr)
+            .to.deep.equal([5, 6, 7, 8, 9, 10, 11, 12, 13, 14]);
+
+        expect(() => qs.paginate({pageSize: 0})).to.throw('Page size must be a positive integer, got 0.');
+        expect(() => qs.paginate({pageSize: 2, cursor: 'x'})).to.throw('Invalid cursor: x');
+    });
+
     it('filter works correctly with object argument', () => {
         const filtered = qs.plain.filter({name: 'Tommi'});
         expect(filtered.count()).to.equal(1);
@@ -103,6 +212,121 @@ describe('QuerySet', () => {
         expect(excluded.idArr).to.deep.equal([1, 2]);
     });
 
+    it('filter works correctly with lookup operators', () => {
+        expect(qs.filter({age__gt: 25}).idArr).to.deep.equal([1, 2]);
+        expect(qs.filter({age__gte: 50, age__lt: 60}).idArr).to.deep.equal([1]);
+        expect(qs.filter({age__lte: 50}).idArr).to.deep.equal([0, 1]);
+        expect(qs.filter({id__in: [0, 2]}).idArr).to.deep.equal([0, 2]);
+        expect(qs.filter({age__range: [25, 50]}).idArr).to.deep.equal([0, 1]);
+        expect(qs.filter({name__icontains: 'O'}).idArr).to.deep.equal([0, 1]);
+        expect(qs.filter({name__contains: 'h'}).idArr).to.deep.equal([1]);
+        expect(qs.filter({name__contains: 'H'}).count()).to.equal(0);
+        expect(qs.filter({name__iexact: 'mary'}).idArr).to.deep.equal([2]);
+        expect(qs.filter({name__startswith: 'To'}).idArr).to.deep.equal([0]);
+        expect(qs.filter({name__iendswith: 'Y'}).idArr).to.deep.equal([2]);
+        expect(qs.filter({name__regex: /^[JM]/}).idArr).to.deep.equal([1, 2]);
+        expect(qs.filter({name__iregex: '^m'}).idArr).to.deep.equal([2]);
+        expect(qs.filter({nickname__isnull: true}).idArr).to.deep.equal([0, 1, 2]);
+        expect(qs.filter({name__isnull: true}).count()).to.equal(0);
+        expect(qs.filter({name__exact: 'John'}).idArr).to.deep.equal([1]);
+    });
+
+    it('exclude works correctly with lookup operators', () => {
+        expect(qs.exclude({age__gt: 25}).idArr).to.deep.equal([0]);
+        expect(qs.exclude({name__in: ['Tommi', 'Mary']}).idArr).to.deep.equal([1]);
+    });
+
+    it('get works correctly with lookup operators', () => {
+        expect(session.Person.get({age__gt: 55}).name).to.equal('Mary');
+        expect(session.Person.get({name__istartswith: 'j'}).getId()).to.equal(1);
+        expect(() => session.Person.get({age__gt: 100})).to.throw('Model instance not found');
+    });
+
+    it('filter, exclude and get work correctly with Q objects', () => {
+        const query = Q.or({name: 'Tommi'}, {age__gte: 60});
+        expect(qs.filter(query).idArr).to.deep.equal([0, 2]);
+        expect(qs.exclude(query).idArr).to.deep.equal([1]);
+        expect(qs.filter(query.not()).idArr).to.deep.equal([1]);
+        expect(qs.filter(query.and(Q.not({name__startswith: 'T'}))).idArr).to.deep.equal([2]);
+        expect(qs.filter(new Q({age__lt: 30}).or({name: 'John'})).idArr).to.deep.equal([0, 1]);
+        expect(qs.filter(Q.and({age__gt: 20}, {age__lt: 55})).idArr).to.deep.equal([0, 1]);
+        expect(session.Person.get(Q.not({age__lt: 55})).name).to.equal('Mary');
+    });
+
+    it('Q objects can be inspected', () => {
+        const query = Q.or({status: 'open'}, {assignee: 1}).and(Q.not({archived: true}));
+        expect(query.connector).to.equal('AND');
+        expect(query.children[0].connector).to.equal('OR');
+        expect(query.children[0].children).to.deep.equal([{status: 'open'}, {assignee: 1}]);
+        expect(query.children[1].negated).to.be.true;
+        expect(query.toString()).to.equal('((status=open OR assignee=1) AND NOT (archived=true))');
+    });
+
+    it('aggregate works correctly', () => {
+        expect(qs.aggregate({
+            total: Sum('age'),
+            avg: Avg('age'),
+            min: Min('age'),
+            max: Max('name'),
+            n: Count(),
+            named: Count('nickname'),
+        })).to.deep.equal({
+            total: 135,
+            avg: 45,
+            min: 25,
+            max: 'Tommi',
+            n: 3,
+            named: 0,
+        });
+
+        expect(qs.filter({age__gt: 100}).aggregate({
+            total: Sum('age'),
+            avg: Avg('age'),
+            min: Min('age'),
+            n: Count(),
+        })).to.deep.equal({total: 0, avg: null, min: null, n: 0});
+
+        expect(session.Person.aggregate({n: Count()})).to.deep.equal({n: 3});
+    });
+
+    it('groupBy works correctly', () => {
+        const byAgeGroup = qs.groupBy(person => (person.age < 50 ? 'young' : 'old'));
+        expect(byAgeGroup.keys()).to.deep.equal(['young', 'old']);
+        expect(byAgeGroup.get('old').idArr).to.deep.equal([1, 2]);
+        expect(byAgeGroup.count()).to.deep.equal({young: 1, old: 2});
+        expect(byAgeGroup.aggregate({avg: Avg('age')})).to.deep.equal({
+            young: {avg: 25},
+            old: {avg: 55},
+        });
+
+        expect(session.Person.groupBy('name').keys()).to.deep.equal(['Tommi', 'John', 'Mary']);
+        expect(qs.groupBy('nickname').count()).to.deep.equal({undefined: 3});
+    });
+
+    it('orderBy works correctly', () => {
+        expect(qs.orderBy('age', 'desc').idArr).to.deep.equal([2, 1, 0]);
+        expect(qs.orderBy(['name']).idArr).to.deep.equal([1, 2, 0]);
+        expect(qs.orderBy([person => person.name.length, 'name'], ['asc', 'desc']).idArr)
+            .to.deep.equal([2, 1, 0]);
+    });
+
+    it('annotate works correctly', () => {
+        const annotated = qs.annotate({
+            decade: person => Math.floor(person.age / 10),
+        }).annotate({
+            label: person => `${person.name} (${person.decade}0s)`,
+        });
+
+        expect(annotated.plain.at(0)).to.deep.equal({id: 0, name: 'Tommi', age: 25, decade: 2, label: 'Tommi (20s)'});
+        expect(annotated.at(1).label).to.equal('John (50s)');
+        expect(annotated.filter({decade__gte: 5}).orderBy('label', 'desc').toPlain().map(p => p.label))
+            .to.deep.equal(['Mary (60s)', 'John (50s)']);
+        expect(annotated.aggregate({decades: Sum('decade')})).to.deep.equal({decades: 13});
+
+        expect(state.Person.itemsById[0]).to.not.have.property('decade');
+        expect(qs.plain.at(0)).to.equal(state.Person.itemsById[0]);
+    });
+
     it('update records a update', () => {
         const updater = {name: 'Mark'};
         expect(session.updates).to.have.length(0);
@@ -159,8 +383,8 @@ describe('QuerySet', () => {
         expect(overMiddleAged.count()).to.equal(1);
         expect(overMiddleAged.first().toPlain()).to.deep.equal({id: 2, name: 'Mary', age: 60});
 
-        expect(PersonSub.overMiddleAge().count()).to.equal(1);
-        expect(PersonSub.plain.filter({name: 'Tommi'}).count()).to.equal(1);
+        expect(sess.Person.overMiddleAge().count()).to.equal(1);
+        expect(sess.Person.plain.filter({name: 'Tommi'}).count()).to.equal(1);
     });
 });
 
@@ -1,7 +1,13 @@
 import {expect} from 'chai';
+import {OrderedMap} from 'immutable';
 import Schema from '../Schema';
+import ImmutableBackend from '../ImmutableBackend';
 import Model from '../Model';
-import {ForeignKey, ManyToMany, OneToOne} from '../fields';
+import {ForeignKey, ManyToMany, OneToOne, Attribute} from '../fields';
+import {CASCADE, PROTECT, SET_DEFAULT, DO_NOTHING, NO_RELATED} from '../constants';
+import {Count, Min, Max} from '../aggregates';
+import {undo, redo} from '../history';
+import {optimistic, commit, revert} from '../optimistic';
 
 describe('Schema', () => {
     describe('simple schema', () => {
@@ -40,10 +46,15 @@ describe('Schema', () => {
 
         it('correcly resolves model instance values on create', () => {
             schema.register(Person, Location);
-            schema.from(schema.getDefaultState());
-            const tommi = Person.create({id: 0, name: 'Tommi', friend: null});
-            const friend = Person.create({id: 1, name: 'Matt', friend: tommi});
+            const session = schema.from(schema.getDefaultState());
+            const tommi = session.Person.create({id: 0, name: 'Tommi', friend: null});
+            const friend = session.Person.create({id: 1, name: 'Matt', friend: tommi});
             expect(friend._fields.friend).to.equal(0);
+
+            expect(() => Person.create({id: 2, name: 'Anna'})).to.throw(
+                'Person: The model class is not connected to a session. ' +
+                'Use the model classes of a session, e.g. `schema.from(state).Person`.'
+            );
         });
     });
 
@@ -113,6 +124,65 @@ describe('Schema', () => {
         expect(state.Person.itemsById[0].name).to.equal('Michael');
     });
 
+    it('correctly works with mutations without indexById', () => {
+        const schema = new Schema();
+
+        class PersonModel extends Model {}
+        PersonModel.modelName = 'Person';
+        PersonModel.backend = {indexById: false};
+
+        schema.register(PersonModel);
+
+        const state = schema.getDefaultState();
+        const {Person} = schema.withMutations(state);
+        const items = state.Person.items;
+        ['Tommi', 'Matt', 'Anna', 'Erik'].forEach(name => {
+            Person.create({name});
+        });
+        expect(state.Person.items).to.equal(items);
+        expect(items.map(person => person.id)).to.deep.equal([0, 1, 2, 3]);
+        expect(Person.filter({name: 'Anna'}).first().getId()).to.equal(2);
+
+        let mapperCalls = 0;
+        Person.filter(person => person.id < 2).update(person => {
+            mapperCalls++;
+            return Object.assign({}, person, {name: person.name.toUpperCase()});
+        });
+        expect(mapperCalls).to.equal(2);
+        expect(items.map(person => person.name)).to.deep.equal(['TOMMI', 'MATT', 'Anna', 'Erik']);
+
+        Person.filter(person => person.id % 2 === 1).delete();
+        expect(state.Person.items).to.equal(items);
+        expect(items.map(person => person.id)).to.deep.equal([0, 2]);
+
+        Person.setOrder('name');
+        expect(state.Person.items.map(person => person.id)).to.deep.equal([2, 0]);
+    });
+
+    it('doesn\'t carry session options over in a static backend object', () => {
+        const schema = new Schema();
+
+        class PersonModel extends Model {}
+        PersonModel.modelName = 'Person';
+        PersonModel.backend = {branchName: 'Person'};
+        PersonModel.fields = {
+            email: new Attribute({unique: true}),
+        };
+
+        schema.register(PersonModel);
+
+        const state = schema.getDefaultState();
+        schema.withMutations(state).Person.create({name: 'Tommi', email: 'tommi@example.com'});
+        expect(PersonModel.backend).to.deep.equal({branchName: 'Person'});
+
+        const session = schema.from(state);
+        expect(session.Person.getBackend().withMutations).to.be.false;
+        session.Person.create({name: 'Matt', email: 'matt@example.com'});
+        const nextState = session.reduce();
+        expect(state.Person.items).to.deep.equal([0]);
+        expect(nextState.Person.items).to.deep.equal([0, 1]);
+    });
+
     it('correctly defines models', () => {
         const schema = new Schema();
 
@@ -465,4 +535,1475 @@ describe('Schema', () => {
         expect(nextUser.last().profile).to.be.undefined;
         nextUser.last().delete();
     });
+
+    describe('onDelete policies', () => {
+        let schema;
+        let state;
+
+        beforeEach(() => {
+            class AuthorModel extends Model {}
+            AuthorModel.modelName = 'Author';
+
+            class PublisherModel extends Model {}
+            PublisherModel.modelName = 'Publisher';
+
+            class BookModel extends Model {}
+            BookModel.modelName = 'Book';
+            BookModel.fields = {
+                author: new ForeignKey('Author', {onDelete: CASCADE}),
+                publisher: new ForeignKey('Publisher'),
+                genres: new ManyToMany('Genre'),
+            };
+
+            class ReviewModel extends Model {}
+            ReviewModel.modelName = 'Review';
+            ReviewModel.fields = {
+                book: new ForeignKey('Book', {onDelete: CASCADE}),
+                reviewer: new ForeignKey('Reviewer', {relatedName: 'reviews', onDelete: PROTECT}),
+                editor: new ForeignKey('Reviewer', {relatedName: 'edited', onDelete: SET_DEFAULT, default: 0}),
+            };
+
+            class ReviewerModel extends Model {}
+            ReviewerModel.modelName = 'Reviewer';
+            ReviewerModel.fields = {
+                author: new OneToOne('Author', {relatedName: 'reviewer', onDelete: DO_NOTHING}),
+            };
+
+            class GenreModel extends Model {}
+            GenreModel.modelName = 'Genre';
+
+            schema = new Schema();
+            schema.register(AuthorModel, PublisherModel, BookModel, ReviewModel, ReviewerModel, GenreModel);
+
+            state = schema.getDefaultState();
+            const {Author, Publisher, Book, Review, Reviewer, Genre} = schema.withMutations(state);
+            Author.create({id: 0, name: 'Tolkien'});
+            Author.create({id: 1, name: 'Pratchett'});
+            Publisher.create({id: 0, name: 'Allen & Unwin'});
+            Genre.create({id: 0, name: 'Fantasy'});
+            Reviewer.create({id: 0, name: 'Default'});
+            Reviewer.create({id: 1, name: 'Critic', author: 1});
+            Book.create({id: 0, title: 'The Hobbit', author: 0, publisher: 0, genres: [0]});
+            Book.create({id: 1, title: 'Mort', author: 1, publisher: 0});
+            Review.create({id: 0, book: 0, reviewer: 0, editor: 1});
+            Review.create({id: 1, book: 1, reviewer: 1, editor: 1});
+        });
+
+        it('cascades through multiple levels', () => {
+            const session = schema.from(state);
+            session.Author.withId(0).delete();
+            const nextState = session.reduce();
+
+            expect(nextState.Author.items).to.deep.equal([1]);
+            expect(nextState.Book.items).to.deep.equal([1]);
+            expect(nextState.Review.items).to.deep.equal([1]);
+            expect(nextState.BookGenres.items).to.deep.equal([]);
+            expect(nextState.Publisher).to.equal(state.Publisher);
+        });
+
+        it('sets null by default', () => {
+            const session = schema.from(state);
+            session.Publisher.withId(0).delete();
+            const nextState = session.reduce();
+
+            expect(nextState.Book.itemsById[0].publisher).to.be.null;
+            expect(nextState.Book.itemsById[1].publisher).to.be.null;
+        });
+
+        it('sets the default value', () => {
+            const session = schema.from(state);
+            session.Reviewer.withId(1).edited.update({reviewer: 0});
+            const afterUpdate = session.reduce();
+
+            const nextSession = schema.from(afterUpdate);
+            nextSession.Reviewer.withId(1).delete();
+            const nextState = nextSession.reduce();
+
+            expect(nextState.Reviewer.items).to.deep.equal([0]);
+            expect(nextState.Review.itemsById[0].editor).to.equal(0);
+            expect(nextState.Review.itemsById[1].editor).to.equal(0);
+        });
+
+        it('protects referenced objects without recording updates', () => {
+            const session = schema.from(state);
+            expect(() => session.Reviewer.withId(1).delete()).to.throw(/Cannot delete Reviewer with id 1/);
+            expect(() => session.Reviewer.all().delete()).to.throw(/referenced by Review through the protected field "reviewer"/);
+            expect(session.updates).to.have.length(0);
+        });
+
+        it('does nothing with DO_NOTHING', () => {
+            const session = schema.from(state);
+            session.Review.withId(1).delete();
+            session.Author.withId(1).delete();
+            const nextState = session.reduce();
+
+            expect(nextState.Author.items).to.deep.equal([0]);
+            expect(nextState.Reviewer.itemsById[1].author).to.equal(1);
+        });
+
+        it('applies policies when deleting a QuerySet', () => {
+            const session = schema.from(state);
+            session.Book.filter({publisher: 0}).delete();
+            const nextState = session.reduce();
+
+            expect(nextState.Book.items).to.have.length(0);
+            expect(nextState.Review.items).to.have.length(0);
+            expect(nextState.BookGenres.items).to.have.length(0);
+            expect(nextState.Author.items).to.deep.equal([0, 1]);
+        });
+
+        it('applies policies with mutations', () => {
+            const {Author} = schema.withMutations(state);
+            Author.withId(0).delete();
+
+            expect(state.Book.items).to.deep.equal([1]);
+            expect(state.Review.items).to.deep.equal([1]);
+        });
+
+        it('throws on an invalid declaration', () => {
+            expect(() => new ForeignKey('Author', {onDelete: 'RESTRICT'})).to.throw('Unknown onDelete policy: RESTRICT');
+            expect(() => new ForeignKey('Author', {onDelete: SET_DEFAULT})).to.throw(/must declare a default/);
+        });
+    });
+
+    describe('ManyToMany with a through model', () => {
+        let schema;
+        let state;
+
+        beforeEach(() => {
+            class UserModel extends Model {}
+            UserModel.modelName = 'User';
+            UserModel.fields = {
+                teams: new ManyToMany('Team', {through: 'Membership', relatedName: 'members'}),
+                follows: new ManyToMany('this', {
+                    through: 'Follow',
+                    throughFields: ['follower', 'followee'],
+                    relatedName: 'followers',
+                }),
+            };
+
+            class TeamModel extends Model {}
+            TeamModel.modelName = 'Team';
+
+            class MembershipModel extends Model {}
+            MembershipModel.modelName = 'Membership';
+            MembershipModel.fields = {
+                user: new ForeignKey('User'),
+                team: new ForeignKey('Team'),
+            };
+
+            class FollowModel extends Model {}
+            FollowModel.modelName = 'Follow';
+            FollowModel.fields = {
+                follower: new ForeignKey('User', 'followingSet'),
+                followee: new ForeignKey('User', 'followedSet'),
+            };
+
+            schema = new Schema();
+            schema.register(UserModel, TeamModel, MembershipModel, FollowModel);
+
+            state = schema.getDefaultState();
+            const {User, Team} = schema.withMutations(state);
+            Team.create({id: 0, name: 'Core'});
+            Team.create({id: 1, name: 'Docs'});
+            User.create({id: 0, name: 'Tommi'});
+            User.create({id: 1, name: 'Matt', teams: [0]});
+        });
+
+        it('uses the through model instead of an implicit one', () => {
+            expect(schema.implicitThroughModels).to.have.length(0);
+            expect(state).to.not.have.property('UserTeams');
+            expect(state.Membership.items).to.have.length(1);
+            expect(state.Membership.itemsById[0]).to.deep.equal({id: 0, user: 1, team: 0});
+        });
+
+        it('add accepts values for the through model', () => {
+            const {User, Team, Membership} = schema.withMutations(state);
+            const tommi = User.withId(0);
+            tommi.teams.add(0, Team.withId(1), {role: 'admin'});
+            Team.withId(1).members.add(1, {role: 'member'});
+
+            expect(tommi.teams.idArr).to.deep.equal([0, 1]);
+            expect(Team.withId(1).members.idArr).to.deep.equal([0, 1]);
+            expect(Membership.plain.filter({team: 1}).toPlain()).to.deep.equal([
+                {id: 2, user: 0, team: 1, role: 'admin'},
+                {id: 3, user: 1, team: 1, role: 'member'},
+            ]);
+        });
+
+        it('remove and clear accept a lookup for the through model', () => {
+            const {User} = schema.withMutations(state);
+            const tommi = User.withId(0);
+            tommi.teams.add(0, {role: 'admin'});
+            tommi.teams.add(1, {role: 'member'});
+
+            tommi.teams.remove(0, 1, {role: 'member'});
+            expect(tommi.teams.idArr).to.deep.equal([0]);
+
+            tommi.teams.clear({role: 'member'});
+            expect(tommi.teams.idArr).to.deep.equal([0]);
+
+            tommi.teams.clear();
+            expect(tommi.teams.count()).to.equal(0);
+        });
+
+        it('deletes through rows with the related object', () => {
+            const session = schema.from(state);
+            session.Team.withId(0).delete();
+            const nextState = session.reduce();
+
+            expect(nextState.Membership.items).to.have.length(0);
+            expect(nextState.User.items).to.deep.equal([0, 1]);
+        });
+
+        it('supports relations to the same model with throughFields', () => {
+            const {User, Follow} = schema.withMutations(state);
+            User.withId(0).follows.add(1, {since: 2015});
+
+            expect(User.withId(0).follows.idArr).to.deep.equal([1]);
+            expect(User.withId(1).followers.idArr).to.deep.equal([0]);
+            expect(Follow.first().toPlain()).to.deep.equal({id: 0, follower: 0, followee: 1, since: 2015});
+        });
+
+        it('throws if the through fields can not be inferred', () => {
+            class NodeModel extends Model {}
+            NodeModel.modelName = 'Node';
+            NodeModel.fields = {
+                edges: new ManyToMany('this', {through: 'Edge'}),
+            };
+
+            class EdgeModel extends Model {}
+            EdgeModel.modelName = 'Edge';
+            EdgeModel.fields = {
+                source: new ForeignKey('Node', 'outgoing'),
+                target: new ForeignKey('Node', 'incoming'),
+            };
+
+            const aSchema = new Schema();
+            aSchema.register(NodeModel, EdgeModel);
+            expect(() => aSchema.getDefaultState()).to.throw(/Node.edges relates a model to itself through Edge/);
+        });
+    });
+
+    describe('filtering across relations', () => {
+        let schema;
+        let state;
+        let session;
+
+        beforeEach(() => {
+            class AuthorModel extends Model {}
+            AuthorModel.modelName = 'Author';
+
+            class GenreModel extends Model {}
+            GenreModel.modelName = 'Genre';
+
+            class TagModel extends Model {}
+            TagModel.modelName = 'Tag';
+
+            class BookModel extends Model {}
+            BookModel.modelName = 'Book';
+            BookModel.fields = {
+                author: new ForeignKey('Author', 'books'),
+                genre: new ForeignKey('Genre'),
+                tags: new ManyToMany('Tag', 'books'),
+            };
+
+            class ProfileModel extends Model {}
+            ProfileModel.modelName = 'Profile';
+            ProfileModel.fields = {
+                author: new OneToOne('Author', 'profile'),
+            };
+
+            schema = new Schema();
+            schema.register(AuthorModel, GenreModel, TagModel, BookModel, ProfileModel);
+
+            state = schema.getDefaultState();
+            const {Author, Genre, Tag, Book, Profile} = schema.withMutations(state);
+            Author.create({id: 0, name: 'Tolkien'});
+            Author.create({id: 1, name: 'Pratchett'});
+            Author.create({id: 2, name: 'Knuth'});
+            Genre.create({id: 0, name: 'Fantasy'});
+            Genre.create({id: 1, name: 'Computing'});
+            Tag.create({id: 0, name: 'classic'});
+            Tag.create({id: 1, name: 'funny'});
+            Book.create({id: 0, title: 'The Hobbit', author: 0, genre: 0, tags: [0]});
+            Book.create({id: 1, title: 'Mort', author: 1, genre: 0, tags: [1]});
+            Book.create({id: 2, title: 'TAOCP', author: 2, genre: 1, tags: [0]});
+            Book.create({id: 3, title: 'Untitled', author: null});
+            Profile.create({id: 0, author: 1, country: 'UK'});
+
+            session = schema.from(state);
+        });
+
+        it('follows forward foreign keys', () => {
+            expect(session.Book.filter({author__name: 'Tolkien'}).idArr).to.deep.equal([0]);
+            expect(session.Book.filter({author__name__in: ['Tolkien', 'Knuth']}).idArr).to.deep.equal([0, 2]);
+            expect(session.Book.exclude({genre__name: 'Fantasy'}).idArr).to.deep.equal([2, 3]);
+            expect(session.Book.filter({author: 1}).idArr).to.deep.equal([1]);
+            expect(session.Book.filter({author__isnull: true}).idArr).to.deep.equal([3]);
+        });
+
+        it('follows reverse foreign keys through multiple levels', () => {
+            expect(session.Author.filter({books__genre__name: 'Fantasy'}).idArr).to.deep.equal([0, 1]);
+            expect(session.Author.filter({books__title__icontains: 'taocp'}).idArr).to.deep.equal([2]);
+            expect(session.Genre.filter({bookSet__author__name: 'Knuth'}).idArr).to.deep.equal([1]);
+            expect(session.Author.get({books: 1}).name).to.equal('Pratchett');
+        });
+
+        it('follows many-to-many relations in both directions', () => {
+            expect(session.Book.filter({tags__name: 'classic'}).idArr).to.deep.equal([0, 2]);
+            expect(session.Tag.filter({books__author__name: 'Pratchett'}).idArr).to.deep.equal([1]);
+            expect(session.Book.filter({tags__isnull: true}).idArr).to.deep.equal([3]);
+            expect(session.Author.filter({books__tags__name: 'classic', books__genre__name: 'Fantasy'}).idArr)
+                .to.deep.equal([0]);
+        });
+
+        it('aggregates related fields', () => {
+            expect(session.Author.aggregate({
+                books: Count('books'),
+                tags: Count('books__tags'),
+                distinctTags: Count('books__tags', {distinct: true}),
+                firstTitle: Min('books__title'),
+            })).to.deep.equal({
+                books: 3,
+                tags: 3,
+                distinctTags: 2,
+                firstTitle: 'Mort',
+            });
+
+            expect(session.Book.filter({genre__name: 'Fantasy'}).aggregate({
+                lastAuthor: Max('author__name'),
+            })).to.deep.equal({lastAuthor: 'Tolkien'});
+        });
+
+        it('groups by related fields', () => {
+            const byGenre = session.Book.groupBy('genre__name');
+            expect(byGenre.count()).to.deep.equal({Fantasy: 2, Computing: 1, [NO_RELATED]: 1});
+            expect(byGenre.get(NO_RELATED).idArr).to.deep.equal([3]);
+
+            const byTag = session.Book.groupBy('tags__name').aggregate({
+                n: Count(),
+                authors: Count('author__name', {distinct: true}),
+            });
+            expect(byTag).to.deep.equal({
+                classic: {n: 2, authors: 2},
+                funny: {n: 1, authors: 1},
+                [NO_RELATED]: {n: 1, authors: 0},
+            });
+        });
+
+        it('groups a null related value apart from no related values', () => {
+            const {Genre, Book} = schema.withMutations(state);
+            Genre.create({id: 2, name: null});
+            Book.create({id: 4, title: 'Unsorted', genre: 2});
+
+            const byGenre = schema.from(state).Book.groupBy('genre__name');
+            expect(byGenre.get('null').idArr).to.deep.equal([4]);
+            expect(byGenre.get(NO_RELATED).idArr).to.deep.equal([3]);
+        });
+
+        it('annotates related values', () => {
+            const tags = session.Tag.annotate({
+                bookCount: Count('books'),
+                authorCount: Count('books__author', {distinct: true}),
+            });
+            expect(tags.orderBy('bookCount', 'desc').toPlain()).to.deep.equal([
+                {id: 0, name: 'classic', bookCount: 2, authorCount: 2},
+                {id: 1, name: 'funny', bookCount: 1, authorCount: 1},
+            ]);
+            expect(tags.filter({bookCount__gt: 1}).first().name).to.equal('classic');
+
+            const genres = session.Genre.annotate({firstTitle: Min('bookSet__title')});
+            expect(genres.toPlain().map(genre => genre.firstTitle)).to.deep.equal(['Mort', 'TAOCP']);
+            expect(session.Genre.accessId(0)).to.not.have.property('firstTitle');
+        });
+
+        it('follows one-to-one relations in both directions', () => {
+            expect(session.Profile.filter({author__name: 'Pratchett'}).count()).to.equal(1);
+            expect(session.Author.filter({profile__country: 'UK'}).idArr).to.deep.equal([1]);
+            expect(session.Author.filter({profile__isnull: true}).idArr).to.deep.equal([0, 2]);
+        });
+    });
+
+    describe('secondary indexes', () => {
+        let schema;
+        let state;
+
+        beforeEach(() => {
+            class AuthorModel extends Model {}
+            AuthorModel.modelName = 'Author';
+
+            class BookModel extends Model {}
+            BookModel.modelName = 'Book';
+            BookModel.fields = {
+                author: new ForeignKey('Author', 'books'),
+            };
+            BookModel.indexes = ['author', ['genre', 'year']];
+
+            schema = new Schema();
+            schema.register(AuthorModel, BookModel);
+
+            state = schema.getDefaultState();
+            const {Author, Book} = schema.withMutations(state);
+            Author.create({id: 0, name: 'Tolkien'});
+            Author.create({id: 1, name: 'Pratchett'});
+            Book.create({id: 0, author: 0, genre: 'fantasy', year: 1937});
+            Book.create({id: 1, author: 1, genre: 'fantasy', year: 1987});
+            Book.create({id: 2, author: 0, genre: 'fantasy', year: 1954});
+            Book.create({id: 3, author: 1, genre: 'satire', year: 1987});
+        });
+
+        it('maintains the indexes in the state', () => {
+            expect(state.Book.indexes.author).to.deep.equal({'[0]': [0, 2], '[1]': [1, 3]});
+            expect(state.Author).to.not.have.property('indexes');
+        });
+
+        it('uses the indexes to filter', () => {
+            const session = schema.from(state);
+            const lookedUp = [];
+            const track = book => {
+                lookedUp.push(book.id);
+                return true;
+            };
+
+            expect(session.Book.plain.filter({author: 0}).filter(track).idArr).to.deep.equal([0, 2]);
+            expect(lookedUp).to.deep.equal([0, 2]);
+
+            lookedUp.length = 0;
+            expect(session.Book.plain.filter(track).filter({genre: 'fantasy', year: 1987}).idArr)
+                .to.deep.equal([1]);
+            expect(lookedUp).to.deep.equal([1]);
+
+            expect(session.Book.get({genre: 'satire', year: 1987}).id).to.equal(3);
+            expect(session.Author.withId(0).books.idArr).to.deep.equal([0, 2]);
+            expect(session.Book.filter({id__in: [2, 3]}).filter({author: 0}).idArr).to.deep.equal([2]);
+        });
+
+        it('keeps the indexes up to date', () => {
+            const session = schema.from(state);
+            session.Book.withId(0).update({author: 1});
+            session.Book.withId(3).delete();
+            const nextState = session.reduce();
+
+            expect(nextState.Book.indexes.author).to.deep.equal({'[0]': [2], '[1]': [0, 1]});
+            expect(schema.from(nextState).Author.withId(1).books.idArr).to.deep.equal([0, 1]);
+            expect(state.Book.indexes.author).to.deep.equal({'[0]': [0, 2], '[1]': [1, 3]});
+        });
+    });
+
+    describe('unique constraints', () => {
+        let schema;
+        let state;
+        let session;
+
+        beforeEach(() => {
+            class UserModel extends Model {}
+            UserModel.modelName = 'User';
+            UserModel.fields = {
+                email: new Attribute({type: 'string', unique: true}),
+            };
+            UserModel.uniqueTogether = [['team', 'slug']];
+
+            schema = new Schema();
+            schema.register(UserModel);
+
+            state = schema.getDefaultState();
+            const {User} = schema.withMutations(state);
+            User.create({id: 0, email: 'a@example.com', team: 0, slug: 'a', name: 'A'});
+            User.create({id: 1, email: 'b@example.com', team: 0, slug: 'b', name: 'B'});
+            session = schema.from(state);
+        });
+
+        it('checks create', () => {
+            expect(() => session.User.create({email: 'a@example.com'}))
+                .to.throw('User: Unique constraint failed: email="a@example.com" is already used by the object with id 0.');
+            expect(() => session.User.create({team: 0, slug: 'b'}))
+                .to.throw('team=0, slug="b" is already used by the object with id 1');
+            expect(session.updates).to.have.length(0);
+
+            session.User.create({email: null, team: 1, slug: 'a'});
+            session.User.create({email: null, team: 1, slug: 'b'});
+            expect(session.updates).to.have.length(2);
+        });
+
+        it('merges with the existing object on create', () => {
+            const user = session.User.create({email: 'b@example.com', name: 'Bea'}, {onConflict: 'merge'});
+            expect(user.id).to.equal(1);
+            expect(session.reduce().User.itemsById[1].name).to.equal('Bea');
+        });
+
+        it('merges with an object created in the same session', () => {
+            const created = session.User.create({email: 'c@example.com', name: 'C'});
+            const merged = session.User.create({email: 'c@example.com', name: 'Cee'}, {onConflict: 'merge'});
+            expect(merged.id).to.equal(created.id);
+
+            const nextState = session.reduce();
+            expect(nextState.User.items).to.deep.equal([0, 1, 2]);
+            expect(nextState.User.itemsById[2].name).to.equal('Cee');
+        });
+
+        it('checks instance and QuerySet updates', () => {
+            expect(() => session.User.withId(0).update({email: 'b@example.com'})).to.throw('Unique constraint failed');
+            expect(() => session.User.withId(0).set('slug', 'b')).to.throw('Unique constraint failed');
+            expect(() => session.User.all().update({email: 'c@example.com'})).to.throw('Unique constraint failed');
+            expect(() => session.User.all().update(user => Object.assign({}, user, {slug: 'c'})))
+                .to.throw('Unique constraint failed');
+            expect(session.updates).to.have.length(0);
+
+            session.User.withId(0).update({email: 'a@example.com', name: 'Ann'});
+            session.User.all().update({team: 1});
+            expect(session.reduce().User.indexes['team,slug']).to.deep.equal({'[1,"a"]': [0], '[1,"b"]': [1]});
+        });
+
+        it('checks changes recorded in the same session when recording', () => {
+            session.User.create({email: 'c@example.com'});
+            expect(() => session.User.create({email: 'c@example.com'}))
+                .to.throw('email="c@example.com" is already used by the object with id 2.');
+            expect(session.updates).to.have.length(1);
+
+            session.User.withId(0).update({email: 'd@example.com'});
+            expect(() => session.User.withId(1).update({email: 'd@example.com'})).to.throw('Unique constraint failed');
+
+            // The value freed by an earlier update can be taken.
+            session.User.withId(1).update({email: 'a@example.com'});
+            expect(session.reduce().User.indexes.email).to.deep.equal({
+                '["d@example.com"]': [0],
+                '["a@example.com"]': [1],
+                '["c@example.com"]': [2],
+            });
+        });
+
+        it('looks up unique fields from an index', () => {
+            expect(state.User.indexes.email).to.deep.equal({'["a@example.com"]': [0], '["b@example.com"]': [1]});
+            expect(session.User.get({email: 'b@example.com'}).name).to.equal('B');
+        });
+    });
+
+    describe('composite primary keys', () => {
+        let session;
+
+        beforeEach(() => {
+            class MembershipModel extends Model {}
+            MembershipModel.modelName = 'Membership';
+            MembershipModel.backend = {idAttribute: ['orgId', 'userId']};
+
+            class PostModel extends Model {}
+            PostModel.modelName = 'Post';
+            PostModel.fields = {
+                author: new ForeignKey('Membership', {relatedName: 'posts', onDelete: CASCADE}),
+            };
+
+            class TeamModel extends Model {}
+            TeamModel.modelName = 'Team';
+            TeamModel.fields = {
+                members: new ManyToMany('Membership', 'teams'),
+            };
+
+            const schema = new Schema();
+            schema.register(MembershipModel, PostModel, TeamModel);
+
+            const state = schema.getDefaultState();
+            const {Membership, Post, Team} = schema.withMutations(state);
+            Membership.create({orgId: 0, userId: 0, role: 'admin'});
+            Membership.create({orgId: 1, userId: 0, role: 'member'});
+            Post.create({id: 0, author: [1, 0]});
+            Post.create({id: 1, author: {orgId: 0, userId: 0}});
+            Team.create({id: 0, members: [[0, 0], Membership.withId([1, 0])]});
+
+            session = schema.from(state);
+        });
+
+        it('accesses objects by their key values', () => {
+            const {Membership} = session;
+            expect(Membership.withId([1, 0]).role).to.equal('member');
+            expect(Membership.withId({orgId: 0, userId: 0}).getId()).to.equal('[0,0]');
+            expect(Membership.get({orgId: 1, userId: 0}).role).to.equal('member');
+            expect(Membership.get({role: 'admin'}).getId()).to.equal('[0,0]');
+            expect(Membership.withId([1, 0]).equals(Membership.get({orgId: 1, userId: 0}))).to.be.true;
+            expect(() => Membership.create({orgId: 2})).to.throw('Membership: Missing a value for the primary key field "userId".');
+        });
+
+        it('follows relations to and from composite keys', () => {
+            const {Membership, Post, Team} = session;
+            expect(Post.withId(0).author.role).to.equal('member');
+            expect(Membership.withId([0, 0]).posts.idArr).to.deep.equal([1]);
+            expect(Team.withId(0).members.idArr).to.deep.equal(['[0,0]', '[1,0]']);
+            expect(Membership.withId([1, 0]).teams.idArr).to.deep.equal([0]);
+            expect(Post.filter({author__role: 'admin'}).idArr).to.deep.equal([1]);
+
+            Post.withId(0).author = [0, 0];
+            Team.withId(0).members.remove([1, 0]);
+            Membership.withId([0, 0]).update({role: 'owner'});
+            const state = session.reduce();
+            expect(state.Post.itemsById[0].author).to.equal('[0,0]');
+            expect(state.TeamMembers.items).to.have.length(1);
+            expect(state.Membership.itemsById['[0,0]'].role).to.equal('owner');
+        });
+
+        it('deletes related objects', () => {
+            session.Membership.withId([0, 0]).delete();
+            const state = session.reduce();
+            expect(state.Membership.items).to.deep.equal(['[1,0]']);
+            expect(state.Post.items).to.deep.equal([0]);
+        });
+    });
+
+    describe('remapping ids', () => {
+        let schema;
+        let state;
+
+        beforeEach(() => {
+            class AuthorModel extends Model {}
+            AuthorModel.modelName = 'Author';
+            AuthorModel.idGenerator = 'temporary';
+            AuthorModel.indexes = ['name'];
+
+            class BookModel extends Model {}
+            BookModel.modelName = 'Book';
+            BookModel.fields = {
+                author: new ForeignKey('Author', 'books'),
+                coAuthors: new ManyToMany('Author', 'coAuthored'),
+            };
+
+            class ProfileModel extends Model {}
+            ProfileModel.modelName = 'Profile';
+            ProfileModel.fields = {
+                author: new OneToOne('Author'),
+            };
+
+            schema = new Schema();
+            schema.register(AuthorModel, BookModel, ProfileModel);
+
+            state = schema.getDefaultState();
+            const {Author, Book, Profile} = schema.withMutations(state);
+            Author.create({id: 10, name: 'Tolkien'});
+            const temporaryAuthor = Author.create({name: 'Pratchett'});
+            Book.create({id: 0, author: temporaryAuthor, coAuthors: [10, temporaryAuthor]});
+            Book.create({id: 1, author: 10});
+            Profile.create({id: 0, author: temporaryAuthor});
+        });
+
+        it('changes the id and the references to it', () => {
+            expect(state.Author.items).to.deep.equal([10, -1]);
+
+            const session = schema.from(state);
+            session.remapId('Author', -1, 11);
+            const nextState = session.reduce();
+
+            expect(nextState.Author.items).to.deep.equal([10, 11]);
+            expect(nextState.Author.itemsById[11]).to.deep.equal({id: 11, name: 'Pratchett'});
+            expect(nextState.Author.itemsById).to.not.have.property('-1');
+            expect(nextState.Author.indexes.name).to.deep.equal({'["Tolkien"]': [10], '["Pratchett"]': [11]});
+            expect(nextState.Book.itemsById[0].author).to.equal(11);
+            expect(nextState.Book.itemsById[1].author).to.equal(10);
+            expect(nextState.Profile.itemsById[0].author).to.equal(11);
+
+            const nextSession = schema.from(nextState);
+            expect(nextSession.Author.withId(11).coAuthored.idArr).to.deep.equal([0]);
+            expect(nextSession.Book.withId(0).coAuthors.idArr).to.deep.equal([10, 11]);
+            expect(state.Author.items).to.deep.equal([10, -1]);
+        });
+
+        it('works with mutations', () => {
+            const session = schema.withMutations(state);
+            session.remapId('Author', -1, 11);
+            expect(state.Author.items).to.deep.equal([10, 11]);
+            expect(session.Book.withId(0).author.name).to.equal('Pratchett');
+            expect(session.Author.create({name: 'Knuth'}).getId()).to.equal(-2);
+        });
+
+        it('throws on missing or used ids', () => {
+            const session = schema.from(state);
+            expect(() => session.remapId('Author', -5, 11)).to.throw('Author: Cannot remap id -5: the object does not exist.');
+            expect(() => session.remapId('Author', -1, 10)).to.throw('Author: Cannot remap id -1 to 10: the id is already in use.');
+        });
+    });
+
+    describe('ImmutableBackend', () => {
+        let schema;
+        let state;
+
+        beforeEach(() => {
+            class AuthorModel extends Model {
+                static getBackendClass() {
+                    return ImmutableBackend;
+                }
+            }
+            AuthorModel.modelName = 'Author';
+
+            class BookModel extends Model {
+                static getBackendClass() {
+                    return ImmutableBackend;
+                }
+            }
+            BookModel.modelName = 'Book';
+            BookModel.fields = {
+                author: new ForeignKey('Author', 'books'),
+                coAuthors: new ManyToMany('Author', 'coAuthored'),
+            };
+
+            schema = new Schema();
+            schema.register(AuthorModel, BookModel);
+
+            const session = schema.from(schema.getDefaultState());
+            session.Author.create({name: 'Tolkien'});
+            session.Author.create({name: 'Pratchett'});
+            session.Book.create({name: 'The Hobbit', author: 0, coAuthors: [1]});
+            session.Book.create({name: 'Mort', author: 1});
+            state = session.reduce();
+        });
+
+        it('stores the branches as OrderedMaps', () => {
+            expect(state.Author).to.be.an.instanceOf(OrderedMap);
+            expect(state.Book.keySeq().toArray()).to.deep.equal([0, 1]);
+            expect(state.Book.get(1)).to.deep.equal({id: 1, name: 'Mort', author: 1});
+        });
+
+        it('queries and updates through the backend', () => {
+            const session = schema.from(state);
+            const {Author, Book} = session;
+            expect(Book.withId(0).author.name).to.equal('Tolkien');
+            expect(Author.withId(1).books.toPlain()).to.deep.equal([{id: 1, name: 'Mort', author: 1}]);
+            expect(Author.withId(1).coAuthored.idArr).to.deep.equal([0]);
+            expect(Book.filter({author: 1}).count()).to.equal(1);
+            expect(Author.orderBy('name').idArr).to.deep.equal([1, 0]);
+
+            Book.withId(1).update({name: 'Mort (2nd edition)'});
+            Book.withId(0).delete();
+            const nextState = session.reduce();
+            expect(nextState.Book.keySeq().toArray()).to.deep.equal([1]);
+            expect(nextState.Book.get(1).name).to.equal('Mort (2nd edition)');
+            expect(state.Book.size).to.equal(2);
+        });
+
+        it('works with mutations', () => {
+            const session = schema.withMutations(state);
+            session.Author.create({name: 'Gaiman'});
+            session.Book.withId(1).update({coAuthors: [2]});
+            expect(state.Author.keySeq().toArray()).to.deep.equal([0, 1, 2]);
+            expect(session.Author.withId(2).coAuthored.idArr).to.deep.equal([1]);
+        });
+    });
+
+    describe('ordering', () => {
+        let schema;
+
+        beforeEach(() => {
+            class BookModel extends Model {}
+            BookModel.modelName = 'Book';
+            BookModel.ordering = ['-releaseYear', 'name'];
+            schema = new Schema();
+            schema.register(BookModel);
+        });
+
+        it('keeps the objects in the declared ordering', () => {
+            const session = schema.from(schema.getDefaultState());
+            const {Book} = session;
+            Book.create({name: 'Refactoring', releaseYear: 1999});
+            Book.create({name: 'Clean Code', releaseYear: 2008});
+            Book.create({name: 'Code Complete', releaseYear: 1993});
+            Book.create({name: 'Another Book', releaseYear: 1999});
+            const state = session.reduce();
+            expect(state.Book.items).to.deep.equal([1, 3, 0, 2]);
+
+            const nextSession = schema.from(state);
+            nextSession.Book.withId(2).update({releaseYear: 2004});
+            expect(nextSession.reduce().Book.items).to.deep.equal([1, 2, 3, 0]);
+
+            const {Book: MutatedBook} = schema.withMutations(state);
+            MutatedBook.create({name: 'Domain-Driven Design', releaseYear: 2003});
+            expect(MutatedBook.all().toPlain().map(book => book.name)).to.deep.equal([
+                'Clean Code',
+                'Domain-Driven Design',
+                'Another Book',
+                'Refactoring',
+                'Code Complete',
+            ]);
+        });
+
+        it('throws on setOrder', () => {
+            const {Book} = schema.from(schema.getDefaultState());
+            expect(() => Book.setOrder('name'))
+                .to.throw('Book: Can\'t change the order of objects kept in the declared ordering.');
+        });
+    });
+
+    describe('bulk operations', () => {
+        let schema;
+        let state;
+
+        beforeEach(() => {
+            class AuthorModel extends Model {}
+            AuthorModel.modelName = 'Author';
+
+            class BookModel extends Model {}
+            BookModel.modelName = 'Book';
+            BookModel.fields = {
+                isbn: new Attribute({unique: true}),
+                pages: new Attribute({type: 'number', default: 0}),
+                author: new ForeignKey('Author', 'books'),
+                coAuthors: new ManyToMany('Author', 'coAuthored'),
+            };
+
+            schema = new Schema();
+            schema.register(AuthorModel, BookModel);
+
+            state = schema.getDefaultState();
+            const {Author, Book} = schema.withMutations(state);
+            Author.create({id: 0, name: 'Tolkien'});
+            Author.create({id: 1, name: 'Pratchett'});
+            Book.create({id: 0, name: 'The Hobbit', isbn: '1', author: 0, coAuthors: [1]});
+        });
+
+        it('creates objects with a single update', () => {
+            const session = schema.from(state);
+            const author = session.Author.withId(1);
+            const books = session.Book.bulkCreate([
+                {name: 'Mort', isbn: '2', author},
+                {name: 'Guards! Guards!', isbn: '3', pages: 320, author: 1, coAuthors: [0, author]},
+                {name: 'Sourcery', author: 1, coAuthors: [0]},
+            ]);
+            expect(books.map(book => book.getId())).to.deep.equal([1, 2, 3]);
+            expect(books[0].pages).to.equal(0);
+            expect(session.updates).to.have.length(2);
+
+            const nextState = session.reduce();
+            expect(nextState.Book.items).to.deep.equal([0, 1, 2, 3]);
+            expect(nextState.Book.itemsById[1]).to.deep.equal({id: 1, name: 'Mort', isbn: '2', pages: 0, author: 1});
+            expect(schema.from(nextState).Book.withId(2).coAuthors.idArr).to.deep.equal([0, 1]);
+
+            expect(() => schema.from(state).Book.bulkCreate([{isbn: '4'}, {isbn: '4'}]))
+                .to.throw('Book: Unique constraint failed: isbn="4" is already used by the object with id 1.');
+            expect(() => schema.from(state).Book.bulkCreate([{pages: 'many'}])).to.throw('Book:');
+        });
+
+        it('upserts objects with a single update', () => {
+            const session = schema.from(state);
+            const books = session.Book.bulkUpsert([
+                {id: 0, name: 'The Hobbit, or There and Back Again', coAuthors: []},
+                {id: 1, name: 'Mort', isbn: '2', author: 1},
+                {id: 1, pages: 243},
+            ]);
+            expect(books.map(book => book.toPlain())).to.deep.equal([
+                {id: 0, name: 'The Hobbit, or There and Back Again', isbn: '1', pages: 0, author: 0},
+                {id: 1, name: 'Mort', isbn: '2', pages: 243, author: 1},
+            ]);
+            expect(session.updates).to.have.length(2);
+
+            const nextState = session.reduce();
+            expect(nextState.Book.itemsById).to.deep.equal({
+                0: {id: 0, name: 'The Hobbit, or There and Back Again', isbn: '1', pages: 0, author: 0},
+                1: {id: 1, name: 'Mort', isbn: '2', pages: 243, author: 1},
+            });
+            expect(schema.from(nextState).Book.withId(0).coAuthors.count()).to.equal(0);
+
+            const replaced = schema.from(nextState);
+            replaced.Book.bulkUpsert([{id: 1, name: 'Mort'}], {mergeStrategy: 'replace'});
+            expect(replaced.reduce().Book.itemsById[1]).to.deep.equal({id: 1, name: 'Mort', pages: 0});
+
+            const custom = schema.from(nextState);
+            custom.Book.bulkUpsert([{id: 1, pages: 10}], {
+                mergeStrategy: (book, props) => Object.assign({}, book, {pages: book.pages + props.pages}),
+            });
+            expect(custom.reduce().Book.itemsById[1].pages).to.equal(253);
+        });
+
+        it('throws on invalid upserts', () => {
+            const {Book} = schema.from(state);
+            expect(() => Book.bulkUpsert([{name: 'Mort'}]))
+                .to.throw('Book: Missing a value for the primary key field "id".');
+            expect(() => Book.bulkUpsert([{id: 1}], {mergeStrategy: 'append'}))
+                .to.throw('Book: Unknown merge strategy: append');
+            expect(() => Book.bulkUpsert([{id: 1, isbn: '1'}]))
+                .to.throw('Book: Unique constraint failed: isbn="1" is already used by the object with id 0.');
+        });
+
+        it('updates objects with different values with a single update', () => {
+            const session = schema.withMutations(state);
+            const {Book} = session;
+            Book.bulkCreate([{id: 1, name: 'Mort', author: 1}, {id: 2, name: 'Sourcery', author: 1}]);
+
+            Book.filter({author: 1}).bulkUpdate({
+                0: {name: 'Not updated'},
+                1: {pages: 243, author: session.Author.withId(0), coAuthors: [0, 1]},
+                2: {pages: 288},
+            });
+            expect(state.Book.itemsById[0].name).to.equal('The Hobbit');
+            expect(state.Book.itemsById[1]).to.deep.equal({id: 1, name: 'Mort', pages: 243, author: 0});
+            expect(state.Book.itemsById[2].pages).to.equal(288);
+            expect(Book.withId(1).coAuthors.idArr).to.deep.equal([0, 1]);
+
+            Book.bulkUpdate({0: {coAuthors: [0]}});
+            expect(Book.withId(0).coAuthors.idArr).to.deep.equal([0]);
+            expect(() => Book.bulkUpdate({1: {isbn: '1'}}))
+                .to.throw('Book: Unique constraint failed: isbn="1" is already used by the object with id 0.');
+        });
+    });
+
+    describe('soft delete', () => {
+        let schema;
+        let state;
+
+        beforeEach(() => {
+            class AuthorModel extends Model {}
+            AuthorModel.modelName = 'Author';
+            AuthorModel.softDelete = true;
+
+            class BookModel extends Model {}
+            BookModel.modelName = 'Book';
+            BookModel.softDelete = true;
+            BookModel.fields = {
+                author: new ForeignKey('Author', {relatedName: 'books', onDelete: CASCADE}),
+                coAuthors: new ManyToMany('Author', 'coAuthored'),
+            };
+
+            schema = new Schema();
+            schema.register(AuthorModel, BookModel);
+
+            state = schema.getDefaultState();
+            const {Author, Book} = schema.withMutations(state);
+            Author.create({id: 0, name: 'Tolkien'});
+            Author.create({id: 1, name: 'Pratchett'});
+            Book.create({id: 0, name: 'The Hobbit', author: 0});
+            Book.create({id: 1, name: 'Mort', author: 1, coAuthors: [0]});
+        });
+
+        it('hides deleted objects and keeps their relations', () => {
+            const session = schema.from(state);
+            session.Author.withId(0).delete();
+            session.Book.filter({name: 'Mort'}).delete();
+            const nextState = session.reduce();
+            expect(nextState.Author.items).to.deep.equal([0, 1]);
+            expect(nextState.Author.itemsById[0].deletedAt).to.be.a('number');
+            expect(nextState.Book.itemsById[0].deletedAt).to.equal(nextState.Author.itemsById[0].deletedAt);
+
+            const {Author, Book} = schema.from(nextState);
+            expect(Author.all().toPlain().map(author => author.name)).to.deep.equal(['Pratchett']);
+            expect(Author.withDeleted().count()).to.equal(2);
+            expect(Book.count()).to.equal(0);
+            expect(Book.filter({author: 1}).count()).to.equal(0);
+            expect(Author.withId(1).books.count()).to.equal(0);
+            expect(Book.withId(0).author).to.be.undefined;
+            expect(Book.withId(0)._fields.author).to.equal(0);
+            expect(Book.withId(1).coAuthors.count()).to.equal(0);
+            expect(() => Author.get({id: 0})).to.throw('Model instance not found when calling get method');
+            expect(() => Author.get({name: 'Tolkien'})).to.throw('Model instance not found when calling get method');
+        });
+
+        it('restores deleted objects with their relations', () => {
+            // A book deleted before its author.
+            schema.withMutations(state).Book.create({id: 2, name: 'Unfinished Tales', author: 0, deletedAt: 1});
+
+            const session = schema.from(state);
+            session.Author.withId(0).delete();
+            session.Book.withId(1).delete();
+            const deletedState = session.reduce();
+
+            const restoreSession = schema.from(deletedState);
+            restoreSession.Author.withId(0).restore();
+            restoreSession.Book.withId(1).restore();
+
+            const {Author, Book} = schema.from(restoreSession.reduce());
+            expect(Author.count()).to.equal(2);
+            expect(Book.withId(1).coAuthors.idArr).to.deep.equal([0]);
+            expect(Author.withId(1).books.idArr).to.deep.equal([1]);
+            expect(Author.get({name: 'Tolkien'}).deletedAt).to.be.null;
+
+            // The book deleted along with the author is restored with it,
+            // the one deleted before stays deleted.
+            expect(Book.withId(0).deletedAt).to.be.null;
+            expect(Book.withId(0).author.name).to.equal('Tolkien');
+            expect(Book.withId(2).deletedAt).to.equal(1);
+            expect(Author.withId(0).books.idArr).to.deep.equal([0]);
+        });
+
+        it('applies PROTECT and CASCADE on soft delete', () => {
+            class PublisherModel extends Model {}
+            PublisherModel.modelName = 'Publisher';
+            PublisherModel.softDelete = true;
+
+            class ContractModel extends Model {}
+            ContractModel.modelName = 'Contract';
+            ContractModel.softDelete = true;
+            ContractModel.fields = {
+                publisher: new ForeignKey('Publisher', {relatedName: 'contracts', onDelete: PROTECT}),
+            };
+
+            class EditionModel extends Model {}
+            EditionModel.modelName = 'Edition';
+            EditionModel.fields = {
+                publisher: new ForeignKey('Publisher', {relatedName: 'editions', onDelete: CASCADE}),
+            };
+
+            const publisherSchema = new Schema();
+            publisherSchema.register(PublisherModel, ContractModel, EditionModel);
+            const publisherState = publisherSchema.getDefaultState();
+            const {Publisher, Contract, Edition} = publisherSchema.withMutations(publisherState);
+            Publisher.create({id: 0, name: 'Allen & Unwin'});
+            Contract.create({id: 0, publisher: 0});
+            Edition.create({id: 0, publisher: 0});
+
+            expect(() => Publisher.withId(0).delete()).to.throw(
+                'Cannot delete Publisher with id 0: it is referenced by Contract through the protected field "publisher".'
+            );
+            expect(publisherState.Publisher.itemsById[0].deletedAt).to.be.undefined;
+
+            // Soft deleted referencing objects still protect.
+            Contract.withId(0).delete();
+            expect(() => Publisher.withId(0).delete()).to.throw('Cannot delete Publisher with id 0');
+
+            // Referencing objects without soft delete are left as they are.
+            Contract.purgeDeleted();
+            Publisher.withId(0).delete();
+            expect(publisherState.Publisher.itemsById[0].deletedAt).to.be.a('number');
+            expect(publisherState.Edition.itemsById[0]).to.deep.equal({id: 0, publisher: 0});
+        });
+
+        it('purges deleted objects', () => {
+            const session = schema.withMutations(state);
+            const {Author, Book} = session;
+            Author.withId(0).delete();
+            Book.withId(1).delete();
+            expect(state.Book.itemsById[1].deletedAt).to.be.a('number');
+
+            Author.purgeDeleted({olderThan: new Date(0)});
+            expect(state.Author.items).to.deep.equal([0, 1]);
+
+            // The removal cascades to the deleted book as well.
+            Author.purgeDeleted();
+            expect(state.Author.items).to.deep.equal([1]);
+            expect(state.Book.items).to.deep.equal([1]);
+            expect(state.BookCoAuthors.items).to.deep.equal([]);
+
+            Book.purgeDeleted({olderThan: Date.now() + 1});
+            expect(state.Book.items).to.deep.equal([]);
+        });
+
+        it('throws on restore and purge without soft delete', () => {
+            class TagModel extends Model {}
+            TagModel.modelName = 'Tag';
+            const tagSchema = new Schema();
+            tagSchema.register(TagModel);
+            const {Tag} = tagSchema.from(tagSchema.getDefaultState());
+            const tag = Tag.create({name: 'fantasy'});
+            expect(() => tag.restore()).to.throw('Tag: Can\'t restore objects without softDelete.');
+            expect(() => Tag.purgeDeleted()).to.throw('Tag: Can\'t purge deleted objects without softDelete.');
+        });
+    });
+
+    describe('transactions', () => {
+        let schema;
+        let state;
+
+        beforeEach(() => {
+            class AuthorModel extends Model {}
+            AuthorModel.modelName = 'Author';
+            AuthorModel.fields = {
+                email: new Attribute({unique: true}),
+            };
+
+            class BookModel extends Model {}
+            BookModel.modelName = 'Book';
+            BookModel.fields = {
+                authors: new ManyToMany('Author', 'books'),
+            };
+
+            schema = new Schema();
+            schema.register(AuthorModel, BookModel);
+
+            state = schema.getDefaultState();
+            const {Author} = schema.withMutations(state);
+            Author.create({id: 0, email: 'tolkien@example.com'});
+        });
+
+        it('discards the updates of a failed transaction', () => {
+            const session = schema.from(state);
+            session.Author.create({id: 1, email: 'pratchett@example.com'});
+            const error = new Error('Failed');
+            expect(() => session.transaction(() => {
+                session.Book.create({id: 0, name: 'Mort', authors: [1]});
+                throw error;
+            })).to.throw(error);
+            expect(session.transaction(({Book}) => Book.create({id: 1, name: 'Sourcery'}).getId())).to.equal(1);
+
+            const nextState = session.reduce();
+            expect(nextState.Author.items).to.deep.equal([0, 1]);
+            expect(nextState.Book.items).to.deep.equal([1]);
+            expect(nextState.BookAuthors.items).to.deep.equal([]);
+        });
+
+        it('restores the state with mutations', () => {
+            const session = schema.withMutations(state);
+            const {Author, Book} = session;
+            expect(() => session.transaction(() => {
+                Author.withId(0).update({email: 'jrrt@example.com'});
+                Book.create({id: 0, name: 'The Hobbit', authors: [0]});
+                Author.create({id: 1, email: 'jrrt@example.com'});
+            })).to.throw('Author: Unique constraint failed');
+
+            expect(state.Author.itemsById[0].email).to.equal('tolkien@example.com');
+            expect(state.Author.indexes.email).to.deep.equal({'["tolkien@example.com"]': [0]});
+            expect(state.Book.items).to.deep.equal([]);
+            expect(state.BookAuthors.items).to.deep.equal([]);
+            expect(Author.all().count()).to.equal(1);
+        });
+
+        it('rolls back to nested savepoints', () => {
+            [false, true].forEach(withMutations => {
+                const session = withMutations ? schema.withMutations(state) : schema.from(state);
+                const {Author} = session;
+                const outer = session.savepoint();
+                Author.create({id: 1, email: 'pratchett@example.com'});
+                const inner = session.savepoint();
+                Author.create({id: 2, email: 'gaiman@example.com'});
+
+                session.rollbackTo(inner);
+                Author.create({id: 3, email: 'gaiman@example.com'});
+                session.rollbackTo(inner);
+                session.release(inner);
+                expect(() => session.rollbackTo(inner))
+                    .to.throw('Session: The savepoint has been released or rolled back.');
+
+                session.rollbackTo(outer);
+                expect((withMutations ? state : session.reduce()).Author.items).to.deep.equal([0]);
+            });
+        });
+    });
+
+    describe('history', () => {
+        let schema;
+        let reducer;
+
+        beforeEach(() => {
+            class AuthorModel extends Model {
+                static reducer(state, action, Author) {
+                    switch (action.type) {
+                    case 'RENAME_AUTHOR':
+                        Author.withId(action.payload.id).update({name: action.payload.name});
+                        break;
+                    case 'DELETE_AUTHOR':
+                        Author.withId(action.payload).delete();
+                        break;
+                    case 'SORT_AUTHORS':
+                        Author.setOrder('name');
+                        break;
+                    default:
+                        break;
+                    }
+                    return Author.getNextState();
+                }
+            }
+            AuthorModel.modelName = 'Author';
+
+            class BookModel extends Model {
+                static reducer(state, action, Book) {
+                    if (action.type === 'CREATE_BOOK') {
+                        Book.create(action.payload);
+                    }
+                    return Book.getNextState();
+                }
+            }
+            BookModel.modelName = 'Book';
+            BookModel.fields = {
+                author: new ForeignKey('Author', 'books'),
+            };
+
+            schema = new Schema();
+            schema.register(AuthorModel, BookModel);
+            reducer = schema.reducer({history: {limit: 3}});
+        });
+
+        function initialState() {
+            const state = reducer(undefined, {type: 'INIT'});
+            const {Author} = schema.withMutations(state);
+            Author.create({id: 0, name: 'Tolkien'});
+            Author.create({id: 1, name: 'Pratchett'});
+            return state;
+        }
+
+        it('undoes and redoes the changes of actions', () => {
+            let state = initialState();
+            expect(state._history).to.deep.equal({past: [], future: []});
+
+            state = reducer(state, {type: 'RENAME_AUTHOR', payload: {id: 0, name: 'J. R. R. Tolkien'}});
+            state = reducer(state, {type: 'DELETE_AUTHOR', payload: 1});
+            state = reducer(state, {type: 'CREATE_BOOK', payload: {id: 0, name: 'The Hobbit', author: 0}});
+            state = reducer(state, {type: 'UNRELATED'});
+            expect(state._history.past).to.have.length(3);
+            expect(state._history.past[0].changes).to.deep.equal([{
+                modelName: 'Author',
+                id: 0,
+                before: {id: 0, name: 'Tolkien'},
+                after: {id: 0, name: 'J. R. R. Tolkien'},
+            }]);
+
+            state = reducer(state, undo());
+            expect(state.Book.items).to.deep.equal([]);
+            state = reducer(state, undo());
+            expect(state.Author.itemsById[1]).to.deep.equal({id: 1, name: 'Pratchett'});
+            state = reducer(state, undo());
+            expect(state.Author.itemsById[0].name).to.equal('Tolkien');
+            expect(reducer(state, undo())).to.equal(state);
+
+            state = reducer(state, redo());
+            expect(state.Author.itemsById[0].name).to.equal('J. R. R. Tolkien');
+            expect(state._history.future).to.have.length(2);
+
+            state = reducer(state, {type: 'CREATE_BOOK', payload: {id: 1, name: 'Mort', author: 1}});
+            expect(state._history.future).to.deep.equal([]);
+            expect(reducer(state, redo())).to.equal(state);
+        });
+
+        it('keeps the latest changes up to the limit', () => {
+            let state = initialState();
+            ['A', 'B', 'C', 'D'].forEach(name => {
+                state = reducer(state, {type: 'RENAME_AUTHOR', payload: {id: 1, name}});
+            });
+            expect(state._history.past.map(entry => entry.changes[0].after.name)).to.deep.equal(['B', 'C', 'D']);
+        });
+
+        it('undoes the changes of a model or an object', () => {
+            let state = initialState();
+            state = reducer(state, {type: 'RENAME_AUTHOR', payload: {id: 0, name: 'J. R. R. Tolkien'}});
+            state = reducer(state, {type: 'RENAME_AUTHOR', payload: {id: 1, name: 'Sir Terry'}});
+            state = reducer(state, {type: 'CREATE_BOOK', payload: {id: 0, name: 'The Hobbit', author: 0}});
+
+            state = reducer(state, undo({modelName: 'Author', id: 0}));
+            expect(state.Author.itemsById[0].name).to.equal('Tolkien');
+            expect(state.Author.itemsById[1].name).to.equal('Sir Terry');
+            expect(state.Book.items).to.deep.equal([0]);
+
+            state = reducer(state, undo({modelName: 'Author'}));
+            expect(state.Author.itemsById[1].name).to.equal('Pratchett');
+            expect(state.Book.items).to.deep.equal([0]);
+            expect(reducer(state, undo({modelName: 'Author'}))).to.equal(state);
+
+            state = reducer(state, redo({modelName: 'Author', id: 0}));
+            expect(state.Author.itemsById[0].name).to.equal('J. R. R. Tolkien');
+            expect(state.Author.itemsById[1].name).to.equal('Pratchett');
+        });
+
+        it('undoes orderings', () => {
+            let state = initialState();
+            state = reducer(state, {type: 'SORT_AUTHORS'});
+            expect(state.Author.items).to.deep.equal([1, 0]);
+            state = reducer(state, undo());
+            expect(state.Author.items).to.deep.equal([0, 1]);
+            state = reducer(state, redo());
+            expect(state.Author.items).to.deep.equal([1, 0]);
+        });
+    });
+
+    describe('change sets', () => {
+        let schema;
+        let state;
+
+        beforeEach(() => {
+            class AuthorModel extends Model {}
+            AuthorModel.modelName = 'Author';
+
+            class BookModel extends Model {}
+            BookModel.modelName = 'Book';
+            BookModel.fields = {
+                author: new ForeignKey('Author', 'books'),
+            };
+
+            schema = new Schema();
+            schema.register(AuthorModel, BookModel);
+
+            state = schema.getDefaultState();
+            const {Author, Book} = schema.withMutations(state);
+            Author.create({id: 0, name: 'Tolkien'});
+            Author.create({id: 1, name: 'Pratchett'});
+            Book.create({id: 0, name: 'Hobbit', author: 0});
+            Book.create({id: 1, name: 'Mort', author: 1, 'related/reads': [0]});
+        });
+
+        it('returns the created, updated and deleted objects', () => {
+            const session = schema.from(state);
+            const {Author, Book} = session;
+            expect(() => session.getChanges()).to.throw('Session: Call reduce before getChanges.');
+
+            Book.withId(0).update({name: 'The Hobbit', pages: 310});
+            Book.withId(1).update({name: 'Mort', 'related/reads': undefined});
+            Book.create({id: 2, name: 'Sourcery', author: 1});
+            Author.withId(0).update({name: 'Tolkien'});
+            Author.withId(1).delete();
+            session.reduce();
+
+            const changes = session.getChanges();
+            expect(Object.keys(changes)).to.deep.equal(['Book', 'Author']);
+            expect(changes.Book).to.deep.equal({
+                created: [{id: 2, name: 'Sourcery', author: 1}],
+                updated: [
+                    {id: 0, fields: {name: {before: 'Hobbit', after: 'The Hobbit'}, pages: {before: undefined, after: 310}}},
+                    {id: 1, fields: {author: {before: 1, after: null}, 'related/reads': {before: [0], after: undefined}}},
+                ],
+                deleted: [],
+            });
+            expect(changes.Author).to.deep.equal({
+                created: [],
+                updated: [],
+                deleted: [{id: 1, name: 'Pratchett'}],
+            });
+
+            expect(changes.toJSONPatch()).to.deep.equal([
+                {op: 'replace', path: '/Book/0/name', value: 'The Hobbit'},
+                {op: 'add', path: '/Book/0/pages', value: 310},
+                {op: 'replace', path: '/Book/1/author', value: null},
+                {op: 'remove', path: '/Book/1/related~1reads'},
+                {op: 'add', path: '/Book/2', value: {id: 2, name: 'Sourcery', author: 1}},
+                {op: 'remove', path: '/Author/1'},
+            ]);
+        });
+
+        it('works with mutations', () => {
+            const session = schema.withMutations(state);
+            expect(session.getChanges().isEmpty()).to.be.true;
+            session.Book.withId(0).update({name: 'The Hobbit'});
+            session.Book.withId(0).update({name: 'The Hobbit, or There and Back Again'});
+            session.Book.create({id: 2, name: 'Discarded'}).delete();
+            expect(session.getChanges().toJSONPatch()).to.deep.equal([
+                {op: 'replace', path: '/Book/0/name', value: 'The Hobbit, or There and Back Again'},
+            ]);
+        });
+    });
+
+    describe('optimistic updates', () => {
+        let schema;
+        let reducer;
+
+        beforeEach(() => {
+            class TodoModel extends Model {
+                static reducer(state, action, Todo) {
+                    switch (action.type) {
+                    case 'CREATE_TODO':
+                        Todo.create(action.payload);
+                        break;
+                    case 'RENAME_TODO':
+                        Todo.withId(action.payload.id).update({name: action.payload.name});
+                        break;
+                    default:
+                        break;
+                    }
+                    return Todo.getNextState();
+                }
+            }
+            TodoModel.modelName = 'Todo';
+
+            schema = new Schema();
+            schema.register(TodoModel);
+            reducer = schema.reducer({optimistic: true});
+        });
+
+        const names = state => state.Todo.items.map(id => state.Todo.itemsById[id].name);
+
+        it('keeps the state as is without optimistic actions', () => {
+            const state = reducer(reducer(undefined, {type: 'INIT'}), {
+                type: 'CREATE_TODO',
+                payload: {id: 0, name: 'Write tests'},
+            });
+            expect(state).to.not.have.property('_optimistic');
+            expect(reducer(state, commit(1))).to.equal(state);
+            expect(reducer(state, revert(1))).to.equal(state);
+        });
+
+        it('reverts a transaction and replays the later actions', () => {
+            let state = reducer(undefined, {type: 'INIT'});
+            state = reducer(state, {type: 'CREATE_TODO', payload: {id: 0, name: 'Write tests'}});
+            state = reducer(state, optimistic({type: 'CREATE_TODO', payload: {id: 1, name: 'Write docs'}}, 'tx1'));
+            state = reducer(state, {type: 'CREATE_TODO', payload: {id: 2, name: 'Release'}});
+            state = reducer(state, optimistic({type: 'RENAME_TODO', payload: {id: 0, name: 'Write more tests'}}, 'tx2'));
+            expect(names(state)).to.deep.equal(['Write more tests', 'Write docs', 'Release']);
+            expect(state._optimistic).to.have.length(3);
+
+            state = reducer(state, revert('tx1'));
+            expect(names(state)).to.deep.equal(['Write more tests', 'Release']);
+            expect(state._optimistic.map(entry => entry.txId)).to.deep.equal(['tx2']);
+
+            state = reducer(state, revert('tx2'));
+            expect(names(state)).to.deep.equal(['Write tests', 'Release']);
+            expect(state).to.not.have.property('_optimistic');
+        });
+
+        it('commits a transaction', () => {
+            let state = reducer(undefined, {type: 'INIT'});
+            state = reducer(state, optimistic({type: 'CREATE_TODO', payload: {id: 0, name: 'Write tests'}}, 'tx1'));
+            state = reducer(state, optimistic({type: 'CREATE_TODO', payload: {id: 1, name: 'Write docs'}}, 'tx2'));
+
+            state = reducer(state, commit('tx1'));
+            expect(state._optimistic.map(entry => entry.txId)).to.deep.equal(['tx2']);
+            state = reducer(state, revert('tx2'));
+            expect(names(state)).to.deep.equal(['Write tests']);
+            expect(state).to.not.have.property('_optimistic');
+        });
+    });
+
+    describe('session isolation', () => {
+        let schema;
+        let state;
+
+        beforeEach(() => {
+            class AuthorModel extends Model {}
+            AuthorModel.modelName = 'Author';
+
+            class BookModel extends Model {}
+            BookModel.modelName = 'Book';
+            BookModel.fields = {
+                author: new ForeignKey('Author', 'books'),
+                coAuthors: new ManyToMany('Author', 'coAuthored'),
+            };
+
+            schema = new Schema();
+            schema.register(AuthorModel, BookModel);
+
+            state = schema.getDefaultState();
+            const {Author, Book} = schema.withMutations(state);
+            Author.create({id: 0, name: 'Tolkien'});
+            Book.create({id: 0, name: 'The Hobbit', author: 0, coAuthors: [0]});
+        });
+
+        it('binds the model classes to the session', () => {
+            const session = schema.from(state);
+            const {Book} = session;
+            expect(Book.session).to.equal(session);
+            expect(Book.modelName).to.equal('Book');
+            expect(Book.prototype).to.be.an.instanceof(schema.get('Book'));
+            expect(session.models.map(modelClass => modelClass.modelName)).to.deep.equal(['Author', 'Book', 'BookCoAuthors']);
+            expect(Book.withId(0).getClass()).to.equal(Book);
+            expect(Book.withId(0).author.getClass()).to.equal(session.Author);
+        });
+
+        it('keeps concurrent sessions apart', () => {
+            const otherState = schema.getDefaultState();
+            const first = schema.from(state);
+            const second = schema.withMutations(otherState);
+
+            second.Author.create({id: 0, name: 'Pratchett'});
+            second.Book.create({id: 0, name: 'Mort', author: 0});
+            first.Book.withId(0).update({name: 'The Hobbit, or There and Back Again'});
+
+            expect(first.Book.withId(0).author.name).to.equal('Tolkien');
+            expect(first.Author.withId(0).books.count()).to.equal(1);
+            expect(first.Book.withId(0).coAuthors.count()).to.equal(1);
+            expect(second.Book.withId(0).author.name).to.equal('Pratchett');
+            expect(second.Book.withId(0).coAuthors.count()).to.equal(0);
+
+            expect(first.reduce().Book.itemsById[0].name).to.equal('The Hobbit, or There and Back Again');
+            expect(otherState.Book.itemsById[0].name).to.equal('Mort');
+        });
+
+        it('allows calling a selector in a reducer', () => {
+            const authorNames = schema.createSelector(session => session.Author.all().toPlain().map(a => a.name));
+            schema.get('Book').reducer = (bookState, action, Book) => {
+                Book.create({name: action.payload, author: 0});
+                Book.withId(0).update({name: `${authorNames(state)[0]}: The Hobbit`});
+                return Book.getNextState();
+            };
+
+            const nextState = schema.reducer()(state, {type: 'CREATE_BOOK', payload: 'Unfinished Tales'});
+            expect(nextState.Book.itemsById[0].name).to.equal('Tolkien: The Hobbit');
+            expect(nextState.Book.itemsById[1].name).to.equal('Unfinished Tales');
+        });
+    });
 });
@@ -14,9 +14,9 @@ class ListIterator {
      * Creates a new ListIterator instance.
      * @param  {Array} list - list to iterate over
      * @param  {Number} [idx=0] - starting index. Defaults to `0`
-     * @param  {Function} [getValue] a function that receives the current `idx`
-     *                               and `list` and should return the value that
-     *                               `next` should return. Defaults to `(idx, list) => list[idx]`
+     * @param  {Function} [getValue] a function that receives `list` and the current
+     *                               `idx` and should return the value that
+     *                               `next` should return. Defaults to `(list, idx) => list[idx]`
      */
     constructor(list, idx, getValue) {
         this.list = list;
@@ -30,11 +30,11 @@ class ListIterator {
     /**
      * The default implementation for the `getValue` function.
      *
-     * @param  {Number} idx - the current iterator index
      * @param  {Array} list - the list being iterated
+     * @param  {Number} idx - the current iterator index
      * @return {*} - the value at index `idx` in `list`.
      */
-    getValue(idx, list) {
+    getValue(list, idx) {
         return list[idx];
     }
 
@@ -65,22 +65,6 @@ class ListIterator {
     }
 }
 
-/**
- * Checks if the properties in `lookupObj` match
- * the corresponding properties in `entity`.
- * @param  {Object} lookupObj - properties to match against
- * @param  {Object} entity - object to match
- * @return {Boolean} Returns `true` if the property names in
- *                   `lookupObj` have the same values in `lookupObj`
- *                   and `entity`, `false` if not.
- */
-function match(lookupObj, entity) {
-    const keys = Object.keys(lookupObj);
-    return keys.every((key) => {
-        return lookupObj[key] === entity[key];
-    });
-}
-
 function capitalize(string) {
     return string.charAt(0).toUpperCase() + string.slice(1);
 }
@@ -173,15 +157,18 @@ function attachQuerySetMethods(modelClass, querySetClass) {
  * or a Model instance.
  *
  * @param  {*} entity - either a Model instance or an id value
+ * @param  {Model} [modelClass] - the model class of `entity`. If supplied, ids of
+ *                                models with a composite primary key may also be
+ *                                arrays or objects of the key values.
  * @return {*} the id value of `entity`
  */
-function normalizeEntity(entity) {
+function normalizeEntity(entity, modelClass) {
     if (entity !== null &&
             typeof entity !== 'undefined' &&
             typeof entity.getId === 'function') {
         return entity.getId();
     }
-    return entity;
+    return modelClass ? modelClass.normalizeId(entity) : entity;
 }
 
 /**
@@ -213,6 +200,12 @@ function objectDiff(target, source) {
     return shouldUpdate ? diffObj : null;
 }
 
+// Returns `true` if the plain object `entity` is marked as
+// deleted by a model with the `softDelete` option.
+function isSoftDeleted(entity) {
+    return entity.deletedAt !== null && typeof entity.deletedAt !== 'undefined';
+}
+
 function arrayDiffActions(targetArr, sourceArr) {
     const itemsInBoth = intersection(targetArr, sourceArr);
     const deleteItems = difference(targetArr, itemsInBoth);
@@ -228,7 +221,6 @@ function arrayDiffActions(targetArr, sourceArr) {
 }
 
 export {
-    match,
     attachQuerySetMethods,
     m2mName,
     m2mFromFieldName,
@@ -237,5 +229,6 @@ export {
     ListIterator,
     normalizeEntity,
     objectDiff,
+    isSoftDeleted,
     arrayDiffActions,
 };